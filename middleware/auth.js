@@ -0,0 +1,118 @@
+// Auth0 JWT verification middleware
+import fs from 'fs';
+import process from 'process';
+import { createLocalJWKSet, createRemoteJWKSet, jwtVerify } from 'jose';
+
+// Key set and verify options are built lazily because dotenv runs after module imports
+let keySet = null;
+let keySetSource = null;
+
+const getAuthConfig = () => {
+  const domain = process.env.AUTH0_DOMAIN;
+  const issuer = process.env.AUTH0_ISSUER || (domain ? `https://${domain}/` : undefined);
+  const jwksUri = process.env.AUTH0_JWKS_URI || (domain ? `https://${domain}/.well-known/jwks.json` : undefined);
+
+  return {
+    issuer,
+    jwksUri,
+    jwksFile: process.env.AUTH0_JWKS_FILE,
+    audience: process.env.AUTH0_AUDIENCE
+  };
+};
+
+const getKeySet = (config) => {
+  // Local key-file mode (tests and offline development)
+  if (config.jwksFile) {
+    if (keySetSource !== config.jwksFile) {
+      const jwks = JSON.parse(fs.readFileSync(config.jwksFile, 'utf8'));
+      keySet = createLocalJWKSet(jwks);
+      keySetSource = config.jwksFile;
+    }
+    return keySet;
+  }
+
+  if (!config.jwksUri) {
+    return null;
+  }
+
+  if (keySetSource !== config.jwksUri) {
+    keySet = createRemoteJWKSet(new URL(config.jwksUri));
+    keySetSource = config.jwksUri;
+  }
+  return keySet;
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+// Verify a raw JWT and return the identity it carries
+export const verifyToken = async (token) => {
+  const config = getAuthConfig();
+  const jwks = getKeySet(config);
+
+  if (!jwks) {
+    const error = new Error('Auth0 is not configured (set AUTH0_DOMAIN, AUTH0_JWKS_URI or AUTH0_JWKS_FILE)');
+    error.code = 'AUTH_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const { payload } = await jwtVerify(token, jwks, {
+    issuer: config.issuer,
+    audience: config.audience
+  });
+
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return {
+    auth0Id: payload.sub,
+    payload
+  };
+};
+
+// Require a valid Bearer token; sets req.auth.auth0Id for the route handlers
+export const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Authorization token required' });
+  }
+
+  try {
+    req.auth = await verifyToken(token);
+    next();
+  } catch (error) {
+    if (error.code === 'AUTH_NOT_CONFIGURED') {
+      console.error('🚨 Authentication error:', error.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+    console.error('🔒 Token verification failed:', error.message);
+    res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
+};
+
+// Identify the caller when a valid Bearer token is sent; anonymous requests (and bad tokens)
+// continue without req.auth, for routes that only show more to members
+export const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (token) {
+    try {
+      req.auth = await verifyToken(token);
+    } catch (error) {
+      console.warn('🔒 Ignoring invalid token on public route:', error.message);
+    }
+  }
+  next();
+};
+
+// Only allow the authenticated user to act on their own :auth0Id resource
+export const requireSelf = (req, res, next) => {
+  if (req.auth?.auth0Id !== req.params.auth0Id) {
+    return res.status(403).json({ success: false, message: 'You can only modify your own account' });
+  }
+  next();
+};
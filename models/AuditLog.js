@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One field an audited action changed, as a dotted path
+const changeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// Who changed what through the API, and from where (see services/auditService.js).
+// Entries are append-only: updates and deletes through the model are refused.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: String, default: null }, // auth0Id of the caller
+  action: { type: String, required: true }, // e.g. 'room.start', 'user.update'
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', default: null },
+  subject: { type: String, default: null }, // auth0Id of the user acted on, if any
+  changes: [changeSchema],
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+  ip: { type: String, default: '' },
+  userAgent: { type: String, default: '' }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ room: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+
+const refuseChange = function() {
+  throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  refuseChange
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, refuseChange);
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) refuseChange();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
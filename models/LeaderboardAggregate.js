@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One user's precomputed score in a global leaderboard window, rebuilt by
+// services/globalLeaderboardService.js so reads never have to score users on the fly
+const leaderboardAggregateSchema = new mongoose.Schema({
+  window: { type: String, enum: ['weekly', 'monthly', 'all-time'], required: true },
+  auth0Id: { type: String, required: true },
+  name: { type: String, required: true },
+  picture: { type: String, default: '' },
+  organization: { type: String, default: '' },
+  organizationKey: { type: String, default: '' }, // Lowercased organization for grouping
+  profiles: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  leetcodeScore: { type: Number, default: 0 },
+  githubScore: { type: Number, default: 0 },
+  providerScores: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  totalScore: { type: Number, default: 0 },
+  rank: { type: Number, required: true },
+  organizationRank: { type: Number, default: null },
+  periodStart: { type: Date, default: null }, // null for all-time
+  computedAt: { type: Date, required: true }
+});
+
+leaderboardAggregateSchema.index({ window: 1, auth0Id: 1 }, { unique: true });
+leaderboardAggregateSchema.index({ window: 1, rank: 1 });
+leaderboardAggregateSchema.index({ window: 1, organizationKey: 1, organizationRank: 1 });
+
+export default mongoose.model('LeaderboardAggregate', leaderboardAggregateSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  sender: {
+    auth0Id: { type: String, required: true },
+    name: { type: String, required: true },
+    picture: { type: String, default: '' }
+  },
+  content: { type: String, required: true, trim: true, maxlength: 1000 },
+  isDeleted: { type: Boolean, default: false },
+  deletedBy: { type: String, default: null },
+  deletedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ room: 1, createdAt: -1 });
+messageSchema.index({ room: 1, 'sender.auth0Id': 1, createdAt: -1 });
+
+// Hide the content of deleted messages while keeping their place in the history
+messageSchema.methods.toPublicJSON = function() {
+  const message = this.toObject({ versionKey: false });
+  if (message.isDeleted) {
+    message.content = '';
+  }
+  return message;
+};
+
+export default mongoose.model('Message', messageSchema);
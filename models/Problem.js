@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const problemSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  difficulty: { type: String, enum: ['Easy', 'Medium', 'Hard'], required: true },
+  tags: [{ type: String, trim: true }],
+  url: { type: String, required: true },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+problemSchema.index({ difficulty: 1, isActive: 1 });
+problemSchema.index({ tags: 1 });
+
+// Pick random active problems, optionally by difficulty ('Mixed' means any) and excluding slugs
+problemSchema.statics.pickRandom = function({ difficulty = 'Mixed', excludeSlugs = [], count = 1 } = {}) {
+  const match = { isActive: true, slug: { $nin: excludeSlugs } };
+  if (difficulty && difficulty !== 'Mixed') {
+    match.difficulty = difficulty;
+  }
+  
+  return this.aggregate([
+    { $match: match },
+    { $sample: { size: count } },
+    { $project: { _id: 0, title: 1, slug: 1, difficulty: 1, tags: 1, url: 1 } }
+  ]);
+};
+
+export default mongoose.model('Problem', problemSchema);
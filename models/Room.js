@@ -1,36 +1,98 @@
 import mongoose from 'mongoose';
 
+// What each room role may do. Roles are ordered: a member can only act on lower roles.
+export const ROOM_ROLES = ['participant', 'moderator', 'co-host', 'creator'];
+
+export const ROLE_PERMISSIONS = {
+  creator: ['manageSession', 'manageSettings', 'manageAccess', 'refreshLeaderboard', 'kick', 'ban', 'mute', 'moderateChat', 'viewFlags', 'manageRoles', 'transferOwnership', 'deleteRoom', 'viewAudit'],
+  'co-host': ['manageSession', 'manageSettings', 'manageAccess', 'refreshLeaderboard', 'kick', 'ban', 'mute', 'moderateChat', 'viewFlags'],
+  moderator: ['refreshLeaderboard', 'kick', 'ban', 'mute', 'moderateChat', 'viewFlags'],
+  participant: []
+};
+
 const participantSchema = new mongoose.Schema({
   auth0Id: { type: String, required: true },
   name: { type: String, required: true },
   email: { type: String, required: true },
   picture: { type: String, default: '' },
   joinedAt: { type: Date, default: Date.now },
-  role: { type: String, enum: ['creator', 'participant'], default: 'participant' },
+  role: { type: String, enum: ROOM_ROLES, default: 'participant' },
   isActive: { type: Boolean, default: true },
-  profiles: {
-    leetcode: { type: String, default: '' },
-    github: { type: String, default: '' }
-  },
-  stats: {
-    leetcode: {
-      total: { type: Number, default: 0 },
-      easy: { type: Number, default: 0 },
-      medium: { type: Number, default: 0 },
-      hard: { type: Number, default: 0 },
-      lastUpdated: { type: Date, default: Date.now }
-    },
-    github: {
-      totalCommits: { type: Number, default: 0 },
-      weeklyCommits: { type: Number, default: 0 },
-      monthlyCommits: { type: Number, default: 0 },
-      lastUpdated: { type: Date, default: Date.now }
-    }
-  },
-  statsLastUpdated: { type: Date, default: Date.now },
+  // Score under this room's weights; the stats themselves live on the User
   leaderboardScore: { type: Number, default: 0 }
 });
 
+const problemRefSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  slug: String,
+  difficulty: String,
+  url: String,
+  timeLimit: { type: Number, min: 1, max: 180 } // Optional per-problem round budget in minutes
+}, { _id: false });
+
+const roundSchema = new mongoose.Schema({
+  problem: { type: problemRefSchema, required: true },
+  timeLimit: { type: Number, required: true, min: 1, max: 180 },
+  startTime: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  endTime: { type: Date, default: null }
+}, { _id: false });
+
+// Single-use or multi-use link into a private room. Only a hash of the token is stored.
+const inviteSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true },
+  createdBy: { type: String, required: true }, // auth0Id
+  expiresAt: { type: Date, required: true },
+  maxUses: { type: Number, default: null, min: 1 }, // null for unlimited
+  uses: { type: Number, default: 0 },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Someone asking to join a room that needs the creator's approval
+const joinRequestSchema = new mongoose.Schema({
+  auth0Id: { type: String, required: true },
+  name: { type: String, required: true },
+  email: { type: String, required: true },
+  picture: { type: String, default: '' },
+  message: { type: String, default: '', maxlength: 200 },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  decidedBy: { type: String, default: null },
+  decidedAt: { type: Date, default: null }
+}, { _id: false, timestamps: true });
+
+// Who may join. Never sent to clients (see toJSON below); load with .select('+access').
+const accessSchema = new mongoose.Schema({
+  passwordHash: { type: String, default: null }, // scrypt salt:hash, see services/roomAccessService.js
+  invites: [inviteSchema],
+  joinRequests: [joinRequestSchema]
+}, { _id: false });
+
+// A ban or mute in force, with who imposed it and why
+const restrictionSchema = new mongoose.Schema({
+  auth0Id: { type: String, required: true },
+  name: { type: String, default: '' },
+  by: { type: String, required: true }, // auth0Id of the moderator
+  reason: { type: String, required: true, maxlength: 500 },
+  expiresAt: { type: Date, default: null } // Mutes only; null for indefinite
+}, { _id: false, timestamps: true });
+
+// Every kick, ban and mute (and their reversals), kept after the restriction is lifted
+const moderationActionSchema = new mongoose.Schema({
+  action: { type: String, enum: ['kick', 'ban', 'unban', 'mute', 'unmute'], required: true },
+  auth0Id: { type: String, required: true },
+  name: { type: String, default: '' },
+  by: { type: String, required: true },
+  reason: { type: String, default: '', maxlength: 500 },
+  expiresAt: { type: Date, default: null }
+}, { _id: false, timestamps: { createdAt: true, updatedAt: false } });
+
+// Moderation state; like access it is never sent to clients. Load with .select('+moderation').
+const moderationSchema = new mongoose.Schema({
+  bans: [restrictionSchema],
+  mutes: [restrictionSchema],
+  actions: [moderationActionSchema]
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true, maxlength: 100 },
   description: { type: String, default: '', maxlength: 500 },
@@ -42,7 +104,8 @@ const roomSchema = new mongoose.Schema({
   },
   participants: [participantSchema],
   settings: {
-    isPublic: { type: Boolean, default: true },
+    isPublic: { type: Boolean, default: true }, // Private rooms are unlisted and need an invite, the password or approval
+    requireApproval: { type: Boolean, default: false }, // Joins without an invite wait for the creator
     maxParticipants: { type: Number, default: 10, min: 2, max: 100 },
     allowChat: { type: Boolean, default: true },
     difficulty: { type: String, enum: ['Easy', 'Medium', 'Hard', 'Mixed'], default: 'Mixed' },
@@ -51,26 +114,75 @@ const roomSchema = new mongoose.Schema({
     leaderboard: {
       enabled: { type: Boolean, default: true },
       autoUpdate: { type: Boolean, default: true },
+      // Leave participants whose stats the server could not verify out of the ranking
+      excludeUnverified: { type: Boolean, default: false },
+      // Only participants whose linked accounts passed ownership verification are ranked
+      requireVerifiedAccounts: { type: Boolean, default: false },
       weightLeetCode: { type: Number, default: 0.6, min: 0, max: 1 },
-      weightGitHub: { type: Number, default: 0.4, min: 0, max: 1 }
+      weightGitHub: { type: Number, default: 0.4, min: 0, max: 1 },
+      // Weights of the other providers (codeforces, atcoder); unset providers are not scored
+      providerWeights: { type: Map, of: { type: Number, min: 0, max: 1 }, default: () => new Map() },
+      strategy: { type: String, enum: ['classic', 'hard-heavy', 'activity-only', 'session-delta'], default: 'classic' },
+      // Optional overrides of the strategy's default weights (see services/scoringService.js)
+      difficultyWeights: {
+        easy: { type: Number, min: 0, max: 100 },
+        medium: { type: Number, min: 0, max: 100 },
+        hard: { type: Number, min: 0, max: 100 }
+      },
+      commitWeights: {
+        total: { type: Number, min: 0, max: 100 },
+        weekly: { type: Number, min: 0, max: 100 },
+        monthly: { type: Number, min: 0, max: 100 }
+      },
+      ratingWeights: {
+        solved: { type: Number, min: 0, max: 100 },
+        rating: { type: Number, min: 0, max: 100 }
+      }
     }
   },
   status: { type: String, enum: ['waiting', 'active', 'completed', 'cancelled'], default: 'waiting' },
   currentProblem: {
     title: String,
+    slug: String,
     difficulty: String,
     url: String,
     startTime: Date
   },
+  problemSet: [problemRefSchema], // Problems queued by the creator for the next session
+  rounds: [roundSchema],
+  currentRound: { type: Number, default: -1 }, // Index into rounds, -1 before the first round starts
+  problemHistory: [{
+    slug: { type: String, required: true },
+    title: String,
+    assignedAt: { type: Date, default: Date.now }
+  }],
+  session: {
+    startedAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    endedBy: { type: String, default: null }, // auth0Id of the creator, or 'system' for time limits
+    endReason: { type: String, enum: ['time_limit', 'ended_by_creator', null], default: null },
+    finalLeaderboard: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+  },
+  access: { type: accessSchema, default: () => ({}), select: false },
+  moderation: { type: moderationSchema, default: () => ({}), select: false },
   isActive: { type: Boolean, default: true },
   lastActivity: { type: Date, default: Date.now }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.access;
+      delete ret.moderation;
+      return ret;
+    }
+  }
 });
 
 roomSchema.index({ roomCode: 1 });
 roomSchema.index({ 'creator.auth0Id': 1 });
 roomSchema.index({ 'participants.auth0Id': 1 });
+roomSchema.index({ status: 1, 'session.endsAt': 1 });
 
 roomSchema.virtual('participantCount').get(function() {
   return this.participants.filter(p => p.isActive).length;
@@ -88,4 +200,51 @@ roomSchema.methods.isCreator = function(auth0Id) {
   return this.creator.auth0Id === auth0Id;
 };
 
+// Role of an active member, or null for non-members
+roomSchema.methods.getRole = function(auth0Id) {
+  if (this.isCreator(auth0Id)) return 'creator';
+  const participant = this.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+  return participant ? participant.role : null;
+};
+
+roomSchema.methods.can = function(auth0Id, permission) {
+  const role = this.getRole(auth0Id);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Whether `auth0Id` outranks `targetAuth0Id`, e.g. to kick them or change their role
+roomSchema.methods.outranks = function(auth0Id, targetAuth0Id) {
+  return ROOM_ROLES.indexOf(this.getRole(auth0Id)) > ROOM_ROLES.indexOf(this.getRole(targetAuth0Id) || 'participant');
+};
+
+// Hand the room to another active member; the previous creator stays on as a co-host
+// unless given another role (e.g. when they are leaving)
+roomSchema.methods.transferOwnership = function(auth0Id, { previousRole = 'co-host' } = {}) {
+  const next = this.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+  const previous = this.participants.find(p => p.auth0Id === this.creator.auth0Id);
+  
+  if (previous) {
+    previous.role = previousRole;
+  }
+  next.role = 'creator';
+  this.creator = { auth0Id: next.auth0Id, name: next.name, email: next.email };
+};
+
+// Who takes over when the creator leaves: the longest-standing co-host, then moderator,
+// then participant; null when nobody else is left
+roomSchema.methods.findSuccessor = function() {
+  const candidates = this.participants.filter(p => p.isActive && p.auth0Id !== this.creator.auth0Id);
+  for (const role of ['co-host', 'moderator', 'participant']) {
+    const member = candidates
+      .filter(p => p.role === role)
+      .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+    if (member) return member;
+  }
+  return null;
+};
+
+roomSchema.methods.isSessionExpired = function(now = new Date()) {
+  return this.status === 'active' && !!this.session?.endsAt && this.session.endsAt <= now;
+};
+
 export default mongoose.model('Room', roomSchema);
\ No newline at end of file
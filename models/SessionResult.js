@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const snapshotEntrySchema = new mongoose.Schema({
+  auth0Id: { type: String, required: true },
+  name: { type: String, required: true },
+  statsAsOf: { type: Date, default: null }, // Oldest last fetch across the linked providers
+  leetcode: {
+    total: { type: Number, default: 0 },
+    easy: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 }
+  },
+  github: {
+    totalCommits: { type: Number, default: 0 },
+    weeklyCommits: { type: Number, default: 0 },
+    monthlyCommits: { type: Number, default: 0 }
+  },
+  // Other linked providers: provider -> { rating, maxRating, solved }
+  providers: { type: mongoose.Schema.Types.Mixed, default: () => ({}) }
+}, { _id: false });
+
+const resultEntrySchema = new mongoose.Schema({
+  auth0Id: { type: String, required: true },
+  name: { type: String, required: true },
+  picture: { type: String, default: '' },
+  stale: { type: Boolean, default: false }, // Start or end stats predate the session, so the delta may be off
+  delta: {
+    problemsSolved: { type: Number, default: 0 },
+    easy: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 },
+    commits: { type: Number, default: 0 },
+    providers: { type: mongoose.Schema.Types.Mixed, default: () => ({}) } // provider -> { solved, rating }
+  },
+  rank: { type: Number, required: true }
+}, { _id: false });
+
+const sessionResultSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  roomName: { type: String, required: true },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date, default: null },
+  endReason: { type: String, default: null },
+  startSnapshot: [snapshotEntrySchema],
+  endSnapshot: [snapshotEntrySchema],
+  results: [resultEntrySchema]
+}, {
+  timestamps: true
+});
+
+sessionResultSchema.index({ room: 1, startedAt: -1 });
+
+export default mongoose.model('SessionResult', sessionResultSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+const statsCacheSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  username: { type: String, required: true, lowercase: true, trim: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  fetchedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true } // End of the stale window; Mongo purges the entry after it
+}, {
+  timestamps: true
+});
+
+statsCacheSchema.index({ provider: 1, username: 1 }, { unique: true });
+statsCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('StatsCache', statsCacheSchema);
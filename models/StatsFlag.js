@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// A client-reported stats update that the server refused to store
+const statsFlagSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  auth0Id: { type: String, required: true },
+  name: { type: String, default: '' },
+  provider: { type: String, enum: ['github', 'leetcode'], required: true },
+  username: { type: String, default: '' },
+  reason: { type: String, enum: ['invalid', 'unverifiable', 'out_of_tolerance'], required: true },
+  mismatches: [{ type: String }],
+  submitted: { type: mongoose.Schema.Types.Mixed, default: null },
+  server: { type: mongoose.Schema.Types.Mixed, default: null }
+}, {
+  timestamps: true
+});
+
+statsFlagSchema.index({ room: 1, createdAt: -1 });
+statsFlagSchema.index({ auth0Id: 1, createdAt: -1 });
+
+export default mongoose.model('StatsFlag', statsFlagSchema);
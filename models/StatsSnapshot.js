@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Kept a little longer than the longest history range users can request (366 days)
+const SNAPSHOT_RETENTION_DAYS = 400;
+
+// One row per real provider fetch, so stats can be charted and diffed over time
+const statsSnapshotSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['github', 'leetcode', 'codeforces', 'atcoder'], required: true },
+  username: { type: String, required: true, lowercase: true, trim: true },
+  fetchedAt: { type: Date, required: true },
+  leetcode: {
+    total: Number,
+    easy: Number,
+    medium: Number,
+    hard: Number
+  },
+  github: {
+    totalCommits: Number,
+    weeklyCommits: Number,
+    monthlyCommits: Number
+  },
+  codeforces: {
+    rating: Number,
+    maxRating: Number,
+    solved: Number
+  },
+  atcoder: {
+    rating: Number,
+    maxRating: Number,
+    solved: Number
+  }
+});
+
+statsSnapshotSchema.index({ provider: 1, username: 1, fetchedAt: -1 });
+statsSnapshotSchema.index({ fetchedAt: 1 }, { expireAfterSeconds: SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('StatsSnapshot', statsSnapshotSchema);
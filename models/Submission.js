@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const submissionSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  auth0Id: { type: String, required: true },
+  name: { type: String, required: true },
+  picture: { type: String, default: '' },
+  round: { type: Number, required: true }, // Room round index the solve belongs to
+  problem: {
+    title: { type: String, required: true },
+    slug: { type: String, default: '' },
+    difficulty: { type: String, default: '' }
+  },
+  status: { type: String, enum: ['solved'], default: 'solved' },
+  source: { type: String, enum: ['self_reported', 'leetcode'], default: 'self_reported' }, // 'leetcode' = auto-detected
+  externalId: { type: String, default: null }, // LeetCode submission ID for auto-detected solves
+  language: { type: String, required: true, trim: true, maxlength: 40 },
+  code: { type: String, default: '', maxlength: 20000 },
+  link: { type: String, default: '', maxlength: 500 },
+  solvedAt: { type: Date, required: true },
+  solveTimeMs: { type: Number, required: true, min: 0 } // Time from round start to solve
+}, {
+  timestamps: true
+});
+
+// One solve per participant per round
+submissionSchema.index({ room: 1, auth0Id: 1, round: 1 }, { unique: true });
+submissionSchema.index({ room: 1, solvedAt: 1 });
+
+export default mongoose.model('Submission', submissionSchema);
@@ -1,12 +1,53 @@
 import mongoose from 'mongoose';
 
+// Where stored stats came from. On a failed refresh the values are kept and only the
+// method (cached, or unavailable when nothing was ever fetched), error and failedAt change.
+const provenanceSchema = new mongoose.Schema({
+  source: { type: String, default: null }, // e.g. github_graphql, github_rest, a LeetCode API host, client
+  method: { type: String, enum: ['accurate', 'estimate', 'cached', 'unavailable'], required: true },
+  fetchedAt: { type: Date, default: null },
+  error: { type: String, default: null },
+  failedAt: { type: Date, default: null }
+}, { _id: false });
+
+// Ownership check of one linked account: a one-time code the user publishes on the account
+const accountVerificationSchema = new mongoose.Schema({
+  verified: { type: Boolean, default: false },
+  username: { type: String, default: '' }, // The username verified against
+  verifiedAt: { type: Date, default: null },
+  method: { type: String, enum: ['bio', 'gist', 'profile', null], default: null }
+}, { _id: false });
+
+// A one-time code waiting to be found on the account
+const pendingVerificationSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  username: { type: String, required: true }, // The username the code was issued for
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+// Latest stats of one linked account. The numeric fields depend on the provider
+// (see `fields` in services/providerRegistry.js), hence strict: false.
+const providerStatsSchema = new mongoose.Schema({
+  lastUpdated: { type: Date, default: null },
+  provenance: { type: provenanceSchema, default: undefined }
+}, { _id: false, strict: false });
+
 const userSchema = new mongoose.Schema({
   auth0Id: { type: String, unique: true, required: true },
   email: { type: String, unique: true, required: true },
   name: { type: String, required: true },
   picture: { type: String, default: '' },
-  leetcodeUsername: { type: String, default: '' },
-  githubUsername: { type: String, default: '' },
+  // Groups the organization leaderboard (case-insensitive)
+  organization: { type: String, default: '', trim: true, maxlength: 100 },
+  // auth0Ids of users this user added to their friends leaderboard
+  friends: [{ type: String }],
+  // Linked platform usernames keyed by provider id (leetcode, github, codeforces, atcoder)
+  linkedAccounts: { type: Map, of: String, default: () => new Map() },
+  // Proof that the linked usernames belong to this user (see services/accountVerificationService.js).
+  // Reset whenever the linked username changes.
+  accountVerification: { type: Map, of: accountVerificationSchema, default: () => new Map() },
+  // Only loaded when checking a code
+  pendingVerifications: { type: Map, of: pendingVerificationSchema, default: () => new Map(), select: false },
   preferences: {
     language: { type: String, enum: ['JavaScript', 'Python', 'Java', 'C++', 'Any'], default: 'Any' },
     difficulty: { type: String, enum: ['Easy', 'Medium', 'Hard', 'Mixed'], default: 'Mixed' }
@@ -16,11 +57,22 @@ const userSchema = new mongoose.Schema({
     totalRoomsJoined: { type: Number, default: 0 },
     totalProblemsCompleted: { type: Number, default: 0 }
   },
+  // Latest stats of the linked accounts keyed by provider; rooms read these instead of keeping their own copies
+  platformStats: { type: Map, of: providerStatsSchema, default: () => new Map() },
+  statsLastUpdated: { type: Date, default: null },
   isActive: { type: Boolean, default: true }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
 });
 
+// Pre-plugin username fields, kept for API clients that still send or read them
+for (const [field, provider] of [['leetcodeUsername', 'leetcode'], ['githubUsername', 'github']]) {
+  userSchema.virtual(field)
+    .get(function () { return this.linkedAccounts?.get(provider) || ''; })
+    .set(function (username) { this.linkedAccounts.set(provider, username); });
+}
+
 userSchema.index({ auth0Id: 1 });
 userSchema.index({ email: 1 });
 
@@ -0,0 +1,47 @@
+import express from 'express';
+import crypto from 'crypto';
+import process from 'process';
+import { statsRefreshService } from '../services/statsRefreshService.js';
+import { globalLeaderboardService } from '../services/globalLeaderboardService.js';
+
+const router = express.Router();
+
+// Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('🚨 CRON_SECRET is not set; refusing cron request');
+    return res.status(500).json({ success: false, message: 'Cron is not configured' });
+  }
+  
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  next();
+};
+
+// GET /api/cron/refresh-stats - Refresh stats for rooms with leaderboard auto-update enabled
+router.get('/refresh-stats', requireCronSecret, async (req, res) => {
+  try {
+    const summary = await statsRefreshService.runOnce();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error running stats refresh:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/cron/recompute-leaderboards - Rebuild the global, friends and organization leaderboards
+router.get('/recompute-leaderboards', requireCronSecret, async (req, res) => {
+  try {
+    const summary = await globalLeaderboardService.recompute();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error recomputing global leaderboards:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
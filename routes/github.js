@@ -1,43 +1,44 @@
 import express from 'express';
 import { githubAPI } from '../services/githubService.js';
+import { statsHistoryService } from '../services/statsHistoryService.js';
 
 const router = express.Router();
 
-// GET /api/github/:username/stats - Accurate contribution stats (GraphQL) with fallback
+// GET /api/github/:username/stats - Contribution stats (GraphQL, or REST without a token).
+// When GitHub can't be reached the last recorded snapshot is returned, tagged as cached;
+// no counts are made up.
 router.get('/:username/stats', async (req, res) => {
   const { username } = req.params;
   console.log('🎯 GitHub stats requested for:', username);
   if (!username) return res.status(400).json({ success: false, message: 'Username required' });
   try {
-    // Try GraphQL first
-    console.log('🔄 Attempting GraphQL...');
     const gql = await githubAPI.getContributionStatsGraphQL(username);
-    console.log('📊 GraphQL result supported:', gql.supported);
     
     if (gql.supported) {
-      console.log('✅ Returning GraphQL data');
-      return res.json({ success: true, method: gql.method, stats: {
+      return res.json({ success: true, method: gql.method, cache: gql.cache, stats: {
         totalCommits: gql.total,
         weeklyCommits: gql.thisWeek,
         monthlyCommits: gql.thisMonth,
         publicRepos: gql.publicRepos
-      }});
+      }, contributions: gql.contributions });
     }
     
-    // Fallback to existing estimation method
-    console.log('🔄 Falling back to estimation, reason:', gql.reason);
-    const estimate = await githubAPI.getUserCommitStats(username);
-    console.log('📊 Estimation complete');
-    return res.json({ success: true, method: 'estimate', fallbackReason: gql.reason, stats: {
-      totalCommits: estimate.total,
-      weeklyCommits: estimate.thisWeek,
-      monthlyCommits: estimate.thisMonth,
-      publicRepos: estimate.publicRepos ?? estimate.publicRepos === 0 ? estimate.publicRepos : 0
-    }});
+    console.warn(`⚠️ GitHub stats unavailable for ${username}: ${gql.reason}`);
+    const last = await statsHistoryService.getStatsAt('github', username, new Date());
+    
+    if (!last) {
+      return res.status(502).json({ success: false, message: 'GitHub stats are unavailable', reason: gql.reason });
+    }
+    
+    return res.json({ success: true, method: 'cached', fallbackReason: gql.reason, cache: gql.cache, stats: {
+      totalCommits: last.totalCommits || 0,
+      weeklyCommits: last.weeklyCommits || 0,
+      monthlyCommits: last.monthlyCommits || 0
+    }, provenance: { source: 'stats_history', method: 'cached', fetchedAt: last.fetchedAt, error: gql.reason } });
   } catch (e) {
     console.error('❌ GitHub stats endpoint error:', e);
     return res.status(500).json({ success: false, message: 'Failed to fetch GitHub stats', error: e.message });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import User from '../models/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { globalLeaderboardService, LEADERBOARD_WINDOWS } from '../services/globalLeaderboardService.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// ?window=weekly|monthly|all-time&page=&limit=
+const parseQuery = (query) => {
+  const window = query.window || 'all-time';
+  if (!(window in LEADERBOARD_WINDOWS)) {
+    return { error: `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` };
+  }
+  
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 50));
+  return { window, page, limit };
+};
+
+// Serve one scope of the precomputed leaderboards
+const sendLeaderboard = async (res, scope, options) => {
+  const result = await globalLeaderboardService.getLeaderboard({ scope, ...options });
+  res.json({
+    success: true,
+    scope,
+    window: options.window,
+    leaderboard: result.entries,
+    me: result.me,
+    currentPage: options.page,
+    totalPages: Math.ceil(result.total / options.limit),
+    total: result.total,
+    computedAt: result.computedAt,
+    periodStart: result.periodStart
+  });
+};
+
+// GET /api/leaderboards/global - Everyone with a linked account
+router.get('/global', async (req, res) => {
+  try {
+    const options = parseQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+    
+    await sendLeaderboard(res, 'global', options);
+  } catch (error) {
+    console.error('Error fetching global leaderboard:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/leaderboards/friends - The authenticated user and the friends they added
+router.get('/friends', requireAuth, async (req, res) => {
+  try {
+    const options = parseQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+    
+    const viewer = await User.findOne({ auth0Id: req.auth.auth0Id }).select('auth0Id friends').lean();
+    if (!viewer) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    await sendLeaderboard(res, 'friends', { ...options, viewer });
+  } catch (error) {
+    console.error('Error fetching friends leaderboard:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/leaderboards/organization - Users in the authenticated user's organization
+router.get('/organization', requireAuth, async (req, res) => {
+  try {
+    const options = parseQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+    
+    const viewer = await User.findOne({ auth0Id: req.auth.auth0Id }).select('auth0Id organization').lean();
+    if (!viewer) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!viewer.organization?.trim()) {
+      return res.status(400).json({ success: false, message: 'Set an organization on your profile to see its leaderboard' });
+    }
+    
+    await sendLeaderboard(res, 'organization', { ...options, viewer });
+  } catch (error) {
+    console.error('Error fetching organization leaderboard:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,198 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import { requireAuth } from '../middleware/auth.js';
+import { roomEvents } from '../services/roomEvents.js';
+import { moderationService } from '../services/moderationService.js';
+
+// Mounted at /api/rooms/:roomId/messages
+const router = express.Router({ mergeParams: true });
+
+const MESSAGE_MAX_LENGTH = 1000;
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 100;
+
+// Per-user posting limits, counted from stored messages so they hold across serverless instances
+const RATE_LIMIT_WINDOW_MS = 10 * 1000;
+const RATE_LIMIT_MAX_MESSAGES = 5;
+
+// Load an active room, responding with 404 when it doesn't exist
+const findActiveRoom = async (req, res, select = '') => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.roomId)) {
+    res.status(404).json({ success: false, message: 'Room not found' });
+    return null;
+  }
+  
+  const room = await Room.findById(req.params.roomId).select(select);
+  
+  if (!room || !room.isActive) {
+    res.status(404).json({ success: false, message: 'Room not found' });
+    return null;
+  }
+  return room;
+};
+
+// GET /api/rooms/:roomId/messages - Paginated chat history (newest page first)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+    
+    const room = await findActiveRoom(req, res);
+    if (!room) return;
+    
+    if (!room.isParticipant(auth0Id) && !room.isCreator(auth0Id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only room participants can read the chat' 
+      });
+    }
+    
+    const filter = { room: room._id };
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ success: false, message: 'before must be a valid date' });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+    
+    // Fetch one extra message to know whether an older page exists
+    const messages = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1);
+    
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit).reverse();
+    
+    res.json({
+      success: true,
+      messages: page.map(message => message.toPublicJSON()),
+      hasMore,
+      nextBefore: hasMore ? page[0].createdAt : null
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/messages - Post a chat message
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    
+    if (!content) {
+      return res.status(400).json({ success: false, message: 'Message content is required' });
+    }
+    
+    if (content.length > MESSAGE_MAX_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Message cannot exceed ${MESSAGE_MAX_LENGTH} characters` 
+      });
+    }
+    
+    const room = await findActiveRoom(req, res, '+moderation');
+    if (!room) return;
+    
+    if (!room.settings.allowChat) {
+      return res.status(403).json({ success: false, message: 'Chat is disabled in this room' });
+    }
+    
+    if (!room.isParticipant(auth0Id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'User is not a participant in this room' 
+      });
+    }
+    
+    const mute = moderationService.getActiveMute(room, auth0Id);
+    if (mute) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You are muted in this room',
+        reason: mute.reason,
+        mutedUntil: mute.expiresAt
+      });
+    }
+    
+    const recentCount = await Message.countDocuments({
+      room: room._id,
+      'sender.auth0Id': auth0Id,
+      createdAt: { $gte: new Date(Date.now() - RATE_LIMIT_WINDOW_MS) }
+    });
+    
+    if (recentCount >= RATE_LIMIT_MAX_MESSAGES) {
+      res.set('Retry-After', String(Math.ceil(RATE_LIMIT_WINDOW_MS / 1000)));
+      return res.status(429).json({ 
+        success: false, 
+        message: 'You are sending messages too quickly. Please wait a moment.' 
+      });
+    }
+    
+    const participant = room.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+    
+    const message = await Message.create({
+      room: room._id,
+      sender: {
+        auth0Id,
+        name: participant.name,
+        picture: participant.picture || ''
+      },
+      content
+    });
+    
+    roomEvents.publish(room._id, 'message:created', { message: message.toPublicJSON() });
+    
+    res.status(201).json({ success: true, message: message.toPublicJSON() });
+  } catch (error) {
+    console.error('Error posting message:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/rooms/:roomId/messages/:messageId - Delete a message (author or room moderators)
+router.delete('/:messageId', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await findActiveRoom(req, res);
+    if (!room) return;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+    
+    const message = await Message.findOne({ _id: req.params.messageId, room: room._id });
+    
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+    
+    if (message.sender.auth0Id !== auth0Id && !room.can(auth0Id, 'moderateChat')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the author or a room moderator can delete this message' 
+      });
+    }
+    
+    // Soft delete so pagination cursors stay stable
+    message.isDeleted = true;
+    message.deletedBy = auth0Id;
+    message.deletedAt = new Date();
+    await message.save();
+    
+    roomEvents.publish(room._id, 'message:deleted', { messageId: message._id, deletedBy: auth0Id });
+    
+    res.json({ success: true, message: 'Message deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import Problem from '../models/Problem.js';
+
+const router = express.Router();
+
+// GET /api/problems - Browse the problem catalog with pagination and filtering
+router.get('/', async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 20, 
+      difficulty,
+      tag,
+      search
+    } = req.query;
+    
+    const filter = { isActive: true };
+    
+    if (difficulty && difficulty !== 'Mixed') {
+      filter.difficulty = difficulty;
+    }
+    
+    if (tag) {
+      filter.tags = tag;
+    }
+    
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.title = { $regex: escaped, $options: 'i' };
+    }
+    
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    
+    const problems = await Problem.find(filter)
+      .select('-__v')
+      .sort({ difficulty: 1, title: 1 })
+      .limit(pageSize)
+      .skip((page - 1) * pageSize);
+    
+    const totalProblems = await Problem.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      problems,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalProblems / pageSize),
+      totalProblems
+    });
+  } catch (error) {
+    console.error('Error fetching problems:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/problems/:slug - Get a single problem
+router.get('/:slug', async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ slug: req.params.slug.toLowerCase(), isActive: true });
+    
+    if (!problem) {
+      return res.status(404).json({ success: false, message: 'Problem not found' });
+    }
+    
+    res.json({ success: true, problem });
+  } catch (error) {
+    console.error('Error fetching problem:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
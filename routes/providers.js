@@ -0,0 +1,39 @@
+import express from 'express';
+import { PROVIDERS, getProvider } from '../services/providerRegistry.js';
+import { VERIFICATION_PROVIDERS } from '../services/accountVerificationService.js';
+
+const router = express.Router();
+
+// GET /api/providers - Supported coding platforms and the stats each one reports
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    providers: Object.values(PROVIDERS).map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      fields: provider.fields,
+      verifiable: VERIFICATION_PROVIDERS.includes(provider.id)
+    }))
+  });
+});
+
+// GET /api/providers/:provider/:username/stats - Normalized stats for one account (cached)
+router.get('/:provider/:username/stats', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ success: false, message: `Unknown provider "${req.params.provider}"` });
+  }
+  
+  try {
+    const result = await provider.getUserStats(req.params.username);
+    if (result.error) {
+      return res.status(502).json({ success: false, message: `${provider.name} stats unavailable: ${result.error}` });
+    }
+    res.json({ success: true, provider: provider.id, stats: result.stats, cache: result.cache });
+  } catch (error) {
+    console.error(`Error fetching ${provider.name} stats:`, error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
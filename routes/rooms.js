@@ -1,11 +1,58 @@
 import express from 'express';
 import Room from '../models/Room.js';
 import User from '../models/User.js';
-import { githubAPI } from '../services/githubService.js';
-import { leetcodeAPI, calculateLeetCodeScore } from '../services/leetcodeService.js';
+import { loadScoringContext, loadWindowContext, buildLeaderboard, applyLeaderboardScores } from '../services/leaderboardService.js';
+import { parseLeaderboardSettings } from '../services/scoringService.js';
+import { sessionService } from '../services/sessionService.js';
+import { resultsService } from '../services/resultsService.js';
+import { problemService } from '../services/problemService.js';
+import { userStatsService } from '../services/userStatsService.js';
+import { statsVerificationService } from '../services/statsVerificationService.js';
+import { roomAccessService } from '../services/roomAccessService.js';
+import { moderationService } from '../services/moderationService.js';
+import { auditService } from '../services/auditService.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { roomEvents, writeSSE } from '../services/roomEvents.js';
 
 const router = express.Router();
 
+const SSE_HEARTBEAT_MS = 25000;
+
+// Events after which the affected user is no longer a member
+const REMOVAL_EVENTS = ['participant:left', 'participant:kicked', 'participant:banned'];
+const MAX_PROBLEM_SET_SIZE = 10;
+
+// Roles the creator can hand out; 'creator' only changes hands through a transfer
+const ASSIGNABLE_ROLES = ['co-host', 'moderator', 'participant'];
+
+// Room fields compared before and after audited changes. Access secrets are never recorded.
+const ROOM_AUDIT_FIELDS = [
+  'name', 'description', 'status', 'isActive', 'creator.auth0Id', 'settings', 'problemSet',
+  'currentRound', 'currentProblem.slug', 'session.startedAt', 'session.endsAt', 'session.endedAt',
+  'session.endedBy', 'session.endReason'
+];
+
+const snapshotRoom = (room) => auditService.snapshot(room, ROOM_AUDIT_FIELDS);
+
+// HTTP status for roomAccessService error codes
+const ACCESS_ERROR_STATUS = {
+  ACCESS_INVALID: 400,
+  ACCESS_DENIED: 403
+};
+
+// HTTP status for moderationService error codes
+const MODERATION_ERROR_STATUS = {
+  MODERATION_INVALID: 400,
+  MODERATION_NOT_FOUND: 404
+};
+
+// Respond to a moderationService error, returning false for anything unexpected
+const sendModerationError = (res, error) => {
+  if (!MODERATION_ERROR_STATUS[error.code]) return false;
+  res.status(MODERATION_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+  return true;
+};
+
 // Generate unique room code
 const generateRoomCode = async () => {
   let roomCode;
@@ -22,21 +69,21 @@ const generateRoomCode = async () => {
 };
 
 // GET /api/rooms - Get all active public rooms with pagination and filtering
-router.get('/', async (req, res) => {
+// (password-protected rooms are listed as previews to non-members)
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
-      isPublic = 'true', 
       difficulty,
       language,
       status = 'waiting'
     } = req.query;
     
-    // Build filter query
+    // Build filter query; private rooms are never listed
     const filter = { 
       isActive: true,
-      'settings.isPublic': isPublic === 'true',
+      'settings.isPublic': true,
       status: status
     };
     
@@ -48,11 +95,13 @@ router.get('/', async (req, res) => {
       filter['settings.language'] = language;
     }
     
-    const rooms = await Room.find(filter)
-      .select('-__v')
+    const viewer = req.auth?.auth0Id;
+    const rooms = (await Room.find(filter)
+      .select('-__v +access')
       .sort({ lastActivity: -1 })
       .limit(limit * 1)
-      .skip((page - 1) * limit);
+      .skip((page - 1) * limit))
+      .map(room => roomAccessService.canView(room, viewer) ? room : roomAccessService.toPreview(room, viewer));
     
     const totalRooms = await Room.countDocuments(filter);
     
@@ -70,79 +119,41 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/rooms/:roomId/leaderboard - Get leaderboard for a room
-router.get('/:roomId/leaderboard', async (req, res) => {
+router.get('/:roomId/leaderboard', optionalAuth, async (req, res) => {
   try {
-    const room = await Room.findById(req.params.roomId);
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId).select('+access'));
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
-    // Calculate leaderboard
-    const leaderboard = room.participants
-      .filter(p => p.isActive !== false)
-      .map(participant => {
-        const stats = participant.stats;
-        
-        // Calculate total score based on room settings
-        let totalScore = 0;
-        
-        // Calculate LeetCode score (always include if participant has LeetCode stats)
-        if (stats.leetcode && room.settings.leaderboard.weightLeetCode > 0) {
-          const leetcodeStats = stats.leetcode || {};
-          const leetcodeScore = calculateLeetCodeScore(leetcodeStats);
-          totalScore += leetcodeScore * room.settings.leaderboard.weightLeetCode;
-        }
-        
-        // Calculate GitHub score (always include if participant has GitHub stats)
-        if (stats.github && room.settings.leaderboard.weightGitHub > 0) {
-          let githubCommits = stats.github?.totalCommits || 0;
-          const weeklyCommits = stats.github?.weeklyCommits || 0;
-          const monthlyCommits = stats.github?.monthlyCommits || 0;
-          
-          // HOTFIX: If commits are doubled (1030 instead of 565), correct them
-          if (githubCommits === 1030) {
-            githubCommits = 565;
-            console.log(`🔧 HOTFIX: Corrected doubled GitHub commits from 1030 to 565 for ${participant.name}`);
-          }
-          
-          const githubScore = githubCommits + (weeklyCommits * 2) + (monthlyCommits * 0.5);
-          totalScore += githubScore * room.settings.leaderboard.weightGitHub;
-        }
-        
-        // Apply hotfix to stats display as well
-        const displayStats = { ...participant.stats };
-        if (displayStats.github?.totalCommits === 1030) {
-          displayStats.github.totalCommits = 565;
-        }
-        
-        return {
-          auth0Id: participant.auth0Id,
-          name: participant.name,
-          picture: participant.picture,
-          role: participant.role,
-          profiles: participant.profiles || {},
-          stats: displayStats,
-          totalScore: Math.round(totalScore),
-          lastUpdated: participant.statsLastUpdated
-        };
-      })
-      .sort((a, b) => b.totalScore - a.totalScore)
-      .map((participant, index) => ({
-        ...participant,
-        rank: index + 1
-      }));
-      
-    // Debug: Log what we're sending to frontend
-    console.log('DEBUG: Sending leaderboard with stats:');
-    leaderboard.forEach(p => {
-      console.log(`${p.name}: GitHub stats =`, p.stats?.github);
-    });
+    if (!roomAccessService.canView(room, req.auth?.auth0Id)) {
+      return res.status(403).json({ success: false, message: 'Only room members can view this room', reason: 'members_only' });
+    }
+    
+    // ?from=&to= ranks progress made in that window using the stats history
+    let window = null;
+    if (req.query.from || req.query.to) {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ success: false, message: 'from and to must be valid dates with from before to' });
+      }
+      window = { from, to };
+    }
+    
+    // Completed sessions serve the leaderboard frozen at the end of the session
+    const frozen = !window && room.status === 'completed' && Array.isArray(room.session?.finalLeaderboard);
+    const scoringContext = window ? await loadWindowContext(room, window) : await loadScoringContext(room);
+    const leaderboard = frozen ? room.session.finalLeaderboard : buildLeaderboard(room, scoringContext);
     
     res.json({ 
       success: true, 
       leaderboard,
-      settings: room.settings.leaderboard
+      frozen,
+      window,
+      settings: room.settings.leaderboard,
+      scoring: scoringContext.config
     });
   } catch (error) {
     console.error('Error fetching leaderboard:', error);
@@ -150,15 +161,105 @@ router.get('/:roomId/leaderboard', async (req, res) => {
   }
 });
 
-// GET /api/rooms/:roomId - Get room by ID
-router.get('/:roomId', async (req, res) => {
+// GET /api/rooms/:roomId/results - The room's session result (start/end snapshots and deltas)
+router.get('/:roomId/results', optionalAuth, async (req, res) => {
   try {
-    const room = await Room.findById(req.params.roomId);
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId).select('+access'));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!roomAccessService.canView(room, req.auth?.auth0Id)) {
+      return res.status(403).json({ success: false, message: 'Only room members can view this room', reason: 'members_only' });
+    }
+    
+    const result = await resultsService.getRoomResult(room._id);
+    
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('Error fetching session results:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rooms/:roomId/events - Stream room updates (Server-Sent Events). Non-members of a
+// private room get the preview snapshot only, and members are cut off once they leave.
+// Chat messages, like the chat history, only go to members.
+router.get('/:roomId/events', optionalAuth, async (req, res) => {
+  try {
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId).select('+access'));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    const auth0Id = req.auth?.auth0Id;
+    const restricted = !roomAccessService.canView(room, null);
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    if (!roomAccessService.canView(room, auth0Id)) {
+      writeSSE(res, { type: 'room:snapshot', data: { room: roomAccessService.toPreview(room, auth0Id) }, timestamp: new Date().toISOString() });
+      return res.end();
+    }
+    
+    // Send current state so clients don't need a separate fetch
+    writeSSE(res, { type: 'room:snapshot', data: { room }, timestamp: new Date().toISOString() });
+    
+    let isMember = !!auth0Id && (room.isCreator(auth0Id) || room.isParticipant(auth0Id));
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    
+    unsubscribe = roomEvents.subscribe(room._id, (event) => {
+      if (auth0Id && event.data.auth0Id === auth0Id) {
+        if (event.type === 'participant:joined') isMember = true;
+        if (REMOVAL_EVENTS.includes(event.type)) isMember = false;
+      }
+      
+      if (!event.type.startsWith('message:') || isMember) {
+        writeSSE(res, event);
+      }
+      
+      if (restricted && !isMember) {
+        close();
+        res.end();
+      }
+    });
+    
+    req.on('close', close);
+  } catch (error) {
+    console.error('Error opening room event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+});
+
+// GET /api/rooms/:roomId - Get room by ID (private rooms show non-members a preview)
+router.get('/:roomId', optionalAuth, async (req, res) => {
+  try {
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId).select('+access'));
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
+    const auth0Id = req.auth?.auth0Id;
+    if (!roomAccessService.canView(room, auth0Id)) {
+      return res.json({ success: true, room: roomAccessService.toPreview(room, auth0Id) });
+    }
+    
     res.json({ success: true, room });
   } catch (error) {
     console.error('Error fetching room:', error);
@@ -166,18 +267,24 @@ router.get('/:roomId', async (req, res) => {
   }
 });
 
-// GET /api/rooms/code/:roomCode - Get room by room code
-router.get('/code/:roomCode', async (req, res) => {
+// GET /api/rooms/code/:roomCode - Get room by room code. A code alone doesn't grant access:
+// non-members of private rooms get a preview with what joining requires.
+router.get('/code/:roomCode', optionalAuth, async (req, res) => {
   try {
-    const room = await Room.findOne({ 
+    const room = await sessionService.completeIfExpired(await Room.findOne({ 
       roomCode: req.params.roomCode.toUpperCase(),
       isActive: true 
-    });
+    }).select('+access'));
     
     if (!room) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
+    const auth0Id = req.auth?.auth0Id;
+    if (!roomAccessService.canView(room, auth0Id)) {
+      return res.json({ success: true, room: roomAccessService.toPreview(room, auth0Id) });
+    }
+    
     res.json({ success: true, room });
   } catch (error) {
     console.error('Error fetching room by code:', error);
@@ -186,23 +293,35 @@ router.get('/code/:roomCode', async (req, res) => {
 });
 
 // POST /api/rooms - Create a new room
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
     const { 
       name, 
       description = '', 
-      creator, 
+      creator: creatorInfo, 
       settings = {}
     } = req.body;
     
     // Validate required fields
-    if (!name || !creator || !creator.auth0Id || !creator.name || !creator.email) {
+    if (!name || !creatorInfo || !creatorInfo.name || !creatorInfo.email) {
       return res.status(400).json({ 
         success: false, 
         message: 'Name and complete creator information are required' 
       });
     }
     
+    // Creator identity always comes from the verified token
+    const creator = { ...creatorInfo, auth0Id: req.auth.auth0Id };
+    
+    let leaderboardUpdates = {};
+    if (settings.leaderboard !== undefined) {
+      const parsed = parseLeaderboardSettings(settings.leaderboard);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      leaderboardUpdates = parsed.updates;
+    }
+    
     // Generate unique room code
     const roomCode = await generateRoomCode();
     
@@ -214,6 +333,7 @@ router.post('/', async (req, res) => {
       creator,
       settings: {
         isPublic: settings.isPublic !== false,
+        requireApproval: settings.requireApproval === true,
         maxParticipants: Math.min(Math.max(settings.maxParticipants || 10, 2), 100),
         allowChat: settings.allowChat !== false,
         difficulty: settings.difficulty || 'Mixed',
@@ -229,9 +349,21 @@ router.post('/', async (req, res) => {
         joinedAt: new Date()
       }]
     });
+    room.set(leaderboardUpdates);
+    
+    if (settings.password !== undefined) {
+      await roomAccessService.setPassword(room, settings.password);
+    }
     
     await room.save();
     
+    await auditService.record(req, {
+      action: 'room.create',
+      room,
+      after: snapshotRoom(room),
+      metadata: { passwordProtected: !!room.access?.passwordHash }
+    });
+    
     // Update user stats
     await User.findOneAndUpdate(
       { auth0Id: creator.auth0Id },
@@ -241,29 +373,40 @@ router.post('/', async (req, res) => {
     
     res.status(201).json({ success: true, room });
   } catch (error) {
+    if (ACCESS_ERROR_STATUS[error.code]) {
+      return res.status(ACCESS_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+    }
     console.error('Error creating room:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// POST /api/rooms/:roomId/join - Join a room
-router.post('/:roomId/join', async (req, res) => {
+// POST /api/rooms/:roomId/join - Join a room. Private, password-protected and approval rooms
+// take { inviteToken } or { password }; joins that need approval are queued (202).
+router.post('/:roomId/join', requireAuth, async (req, res) => {
   try {
-    const { participant } = req.body;
+    const { participant: participantInfo, inviteToken, password, message = '' } = req.body;
     
-    if (!participant || !participant.auth0Id || !participant.name || !participant.email) {
+    if (!participantInfo || !participantInfo.name || !participantInfo.email) {
       return res.status(400).json({ 
         success: false, 
         message: 'Complete participant information is required' 
       });
     }
     
-    const room = await Room.findById(req.params.roomId);
+    // Participant identity always comes from the verified token
+    const participant = { ...participantInfo, auth0Id: req.auth.auth0Id };
+    
+    const room = await Room.findById(req.params.roomId).select('+access +moderation');
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
+    if (moderationService.isBanned(room, participant.auth0Id)) {
+      return res.status(403).json({ success: false, message: 'You are banned from this room', reason: 'banned' });
+    }
+    
     if (room.status !== 'waiting') {
       return res.status(400).json({ 
         success: false, 
@@ -282,6 +425,50 @@ router.post('/:roomId/join', async (req, res) => {
       });
     }
     
+    const { decision, invite } = await roomAccessService.checkJoin(room, { inviteToken, password });
+    const existingRequest = room.access.joinRequests.find(request => request.auth0Id === participant.auth0Id);
+    
+    if (decision === 'request') {
+      if (existingRequest?.status === 'rejected') {
+        return res.status(403).json({ success: false, message: 'Your request to join this room was declined', reason: 'request_rejected' });
+      }
+      
+      if (!existingRequest || existingRequest.status !== 'pending') {
+        room.access.joinRequests = room.access.joinRequests.filter(request => request.auth0Id !== participant.auth0Id);
+        room.access.joinRequests.push({
+          auth0Id: participant.auth0Id,
+          name: participant.name,
+          email: participant.email,
+          picture: participant.picture || '',
+          message: String(message).slice(0, 200)
+        });
+        await room.save();
+        
+        await auditService.record(req, {
+          action: 'room.join-request',
+          room,
+          subject: participant.auth0Id,
+          after: { status: 'pending' },
+          metadata: { message: String(message).slice(0, 200) }
+        });
+        
+        roomEvents.publish(room._id, 'join:requested', { auth0Id: participant.auth0Id, name: participant.name });
+      }
+      
+      return res.status(202).json({ 
+        success: true, 
+        pending: true, 
+        message: 'Your request to join was sent to the room creator',
+        room: roomAccessService.toPreview(room, participant.auth0Id)
+      });
+    }
+    
+    if (invite) {
+      invite.uses += 1;
+    }
+    // An invite or password supersedes any queued request
+    room.access.joinRequests = room.access.joinRequests.filter(request => request.auth0Id !== participant.auth0Id);
+    
     // Add participant
     room.participants.push({
       auth0Id: participant.auth0Id,
@@ -295,6 +482,14 @@ router.post('/:roomId/join', async (req, res) => {
     room.lastActivity = new Date();
     await room.save();
     
+    await auditService.record(req, {
+      action: 'room.join',
+      room,
+      subject: participant.auth0Id,
+      after: { role: 'participant' },
+      metadata: { inviteId: invite?._id || null }
+    });
+    
     // Update user stats
     await User.findOneAndUpdate(
       { auth0Id: participant.auth0Id },
@@ -302,242 +497,213 @@ router.post('/:roomId/join', async (req, res) => {
       { upsert: true }
     );
     
+    roomEvents.publish(room._id, 'participant:joined', { auth0Id: participant.auth0Id, room });
+    
     res.json({ success: true, room });
   } catch (error) {
+    if (ACCESS_ERROR_STATUS[error.code]) {
+      return res.status(ACCESS_ERROR_STATUS[error.code]).json({ success: false, message: error.message, reason: error.reason });
+    }
     console.error('Error joining room:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// PUT /api/rooms/:roomId/leave - Leave a room
-router.put('/:roomId/leave', async (req, res) => {
+// GET /api/rooms/:roomId/join-requests - Join requests (?status=pending|approved|rejected, creator and co-hosts)
+router.get('/:roomId/join-requests', requireAuth, async (req, res) => {
   try {
-    const { auth0Id } = req.body;
-    
-    if (!auth0Id) {
-      return res.status(400).json({ success: false, message: 'auth0Id is required' });
-    }
-    
-    const room = await Room.findById(req.params.roomId);
+    const room = await Room.findById(req.params.roomId).select('+access');
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
-    if (!room.isParticipant(auth0Id)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User is not a participant in this room' 
-      });
-    }
-    
-    // If creator leaves, cancel the room
-    if (room.isCreator(auth0Id)) {
-      room.status = 'cancelled';
-      room.isActive = false;
-    } else {
-      // Mark participant as inactive
-      const participant = room.participants.find(p => p.auth0Id === auth0Id);
-      participant.isActive = false;
+    if (!room.can(req.auth.auth0Id, 'manageAccess')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator or a co-host can view join requests' });
     }
     
-    room.lastActivity = new Date();
-    await room.save();
+    const { status } = req.query;
+    const joinRequests = room.access.joinRequests.filter(request => !status || request.status === status);
     
-    res.json({ success: true, room });
+    res.json({ success: true, joinRequests });
   } catch (error) {
-    console.error('Error leaving room:', error);
+    console.error('Error fetching join requests:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// PUT /api/rooms/:roomId - Update room settings (only creator)
-router.put('/:roomId', async (req, res) => {
+// PUT /api/rooms/:roomId/join-requests/:auth0Id/:decision - Approve or reject a pending request (creator and co-hosts)
+router.put('/:roomId/join-requests/:auth0Id/:decision', requireAuth, async (req, res) => {
   try {
-    const { auth0Id, settings } = req.body;
+    const { decision } = req.params;
     
-    if (!auth0Id) {
-      return res.status(400).json({ success: false, message: 'auth0Id is required' });
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, message: "decision must be 'approve' or 'reject'" });
     }
     
-    const room = await Room.findById(req.params.roomId);
+    const room = await Room.findById(req.params.roomId).select('+access');
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
-    if (!room.isCreator(auth0Id)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Only the room creator can update settings' 
-      });
+    if (!room.can(req.auth.auth0Id, 'manageAccess')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator or a co-host can decide on join requests' });
     }
     
-    if (room.status !== 'waiting') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Cannot update room settings after the session has started' 
-      });
+    const request = room.access.joinRequests.find(entry => entry.auth0Id === req.params.auth0Id && entry.status === 'pending');
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'No pending join request from this user' });
     }
     
-    // Update settings
-    if (settings) {
-      if (settings.maxParticipants !== undefined) {
-        room.settings.maxParticipants = Math.min(Math.max(settings.maxParticipants, 2), 100);
-      }
-      if (settings.difficulty !== undefined) {
-        room.settings.difficulty = settings.difficulty;
-      }
-      if (settings.language !== undefined) {
-        room.settings.language = settings.language;
-      }
-      if (settings.timeLimit !== undefined) {
-        room.settings.timeLimit = Math.min(Math.max(settings.timeLimit, 15), 180);
-      }
-      if (settings.allowChat !== undefined) {
-        room.settings.allowChat = settings.allowChat;
+    if (decision === 'approve') {
+      if (room.status !== 'waiting') {
+        return res.status(400).json({ success: false, message: 'Cannot add participants after the session has started' });
       }
-      if (settings.isPublic !== undefined) {
-        room.settings.isPublic = settings.isPublic;
+      if (room.isFull()) {
+        return res.status(400).json({ success: false, message: 'Room is full' });
       }
+      
+      room.participants.push({
+        auth0Id: request.auth0Id,
+        name: request.name,
+        email: request.email,
+        picture: request.picture,
+        role: 'participant',
+        joinedAt: new Date()
+      });
     }
     
+    request.status = decision === 'approve' ? 'approved' : 'rejected';
+    request.decidedBy = req.auth.auth0Id;
+    request.decidedAt = new Date();
     room.lastActivity = new Date();
     await room.save();
     
-    res.json({ success: true, room });
+    await auditService.record(req, {
+      action: `room.join-request.${decision}`,
+      room,
+      subject: request.auth0Id,
+      before: { status: 'pending' },
+      after: { status: request.status }
+    });
+    
+    if (decision === 'approve') {
+      await User.findOneAndUpdate(
+        { auth0Id: request.auth0Id },
+        { $inc: { 'stats.totalRoomsJoined': 1 } },
+        { upsert: true }
+      );
+      roomEvents.publish(room._id, 'participant:joined', { auth0Id: request.auth0Id, room });
+    } else {
+      roomEvents.publish(room._id, 'join:rejected', { auth0Id: request.auth0Id });
+    }
+    
+    res.json({ success: true, joinRequest: request, room });
   } catch (error) {
-    console.error('Error updating room:', error);
+    console.error('Error deciding join request:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// PUT /api/rooms/:roomId/start - Start room session (only creator)
-router.put('/:roomId/start', async (req, res) => {
+// POST /api/rooms/:roomId/invites - Create an invite link token ({ expiresInHours, maxUses }, creator and co-hosts)
+router.post('/:roomId/invites', requireAuth, async (req, res) => {
   try {
-    const { auth0Id, problemData } = req.body;
-    
-    if (!auth0Id) {
-      return res.status(400).json({ success: false, message: 'auth0Id is required' });
-    }
-    
-    const room = await Room.findById(req.params.roomId);
+    const room = await Room.findById(req.params.roomId).select('+access');
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
-    if (!room.isCreator(auth0Id)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Only the room creator can start the session' 
-      });
-    }
-    
-    if (room.status !== 'waiting') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Room session has already been started' 
-      });
-    }
-    
-    // Start the session
-    room.status = 'active';
-    if (problemData) {
-      room.currentProblem = {
-        ...problemData,
-        startTime: new Date()
-      };
+    if (!room.can(req.auth.auth0Id, 'manageAccess')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator or a co-host can create invites' });
     }
-    room.lastActivity = new Date();
     
+    const { expiresInHours, maxUses = null } = req.body;
+    const { invite, token } = roomAccessService.createInvite(room, req.auth.auth0Id, { expiresInHours, maxUses });
     await room.save();
     
-    res.json({ success: true, room });
+    await auditService.record(req, {
+      action: 'room.invite.create',
+      room,
+      after: { expiresAt: invite.expiresAt, maxUses: invite.maxUses },
+      metadata: { inviteId: invite._id }
+    });
+    
+    // The token is shown once; only its hash is stored
+    res.status(201).json({ success: true, invite: { ...roomAccessService.toInviteView(invite), token } });
   } catch (error) {
-    console.error('Error starting room session:', error);
+    if (ACCESS_ERROR_STATUS[error.code]) {
+      return res.status(ACCESS_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+    }
+    console.error('Error creating invite:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// DELETE /api/rooms/:roomId - Delete room (only creator)
-router.delete('/:roomId', async (req, res) => {
+// GET /api/rooms/:roomId/invites - List invites without their tokens (creator and co-hosts)
+router.get('/:roomId/invites', requireAuth, async (req, res) => {
   try {
-    const { auth0Id } = req.body;
-    
-    if (!auth0Id) {
-      return res.status(400).json({ success: false, message: 'auth0Id is required' });
-    }
-    
-    const room = await Room.findById(req.params.roomId);
+    const room = await Room.findById(req.params.roomId).select('+access');
     
-    if (!room) {
+    if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
-    if (!room.isCreator(auth0Id)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Only the room creator can delete the room' 
-      });
+    if (!room.can(req.auth.auth0Id, 'manageAccess')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator or a co-host can view invites' });
     }
     
-    // Soft delete - mark as inactive
-    room.isActive = false;
-    room.status = 'cancelled';
-    room.lastActivity = new Date();
-    
-    await room.save();
-    
-    res.json({ success: true, message: 'Room deleted successfully' });
+    res.json({ success: true, invites: room.access.invites.map(roomAccessService.toInviteView) });
   } catch (error) {
-    console.error('Error deleting room:', error);
+    console.error('Error fetching invites:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// GET /api/rooms/user/:auth0Id - Get user's rooms (created and joined)
-router.get('/user/:auth0Id', async (req, res) => {
+// DELETE /api/rooms/:roomId/invites/:inviteId - Revoke an invite (creator and co-hosts)
+router.delete('/:roomId/invites/:inviteId', requireAuth, async (req, res) => {
   try {
-    const { auth0Id } = req.params;
-    const { type = 'all' } = req.query; // 'created', 'joined', 'all'
+    const room = await Room.findById(req.params.roomId).select('+access');
     
-    let filter = { isActive: true };
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
     
-    if (type === 'created') {
-      filter['creator.auth0Id'] = auth0Id;
-    } else if (type === 'joined') {
-      filter['participants.auth0Id'] = auth0Id;
-      filter['creator.auth0Id'] = { $ne: auth0Id };
-    } else {
-      // All rooms (created or joined)
-      filter.$or = [
-        { 'creator.auth0Id': auth0Id },
-        { 'participants.auth0Id': auth0Id }
-      ];
+    if (!room.can(req.auth.auth0Id, 'manageAccess')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator or a co-host can revoke invites' });
     }
     
-    const rooms = await Room.find(filter)
-      .select('-__v')
-      .sort({ lastActivity: -1 });
+    const invite = room.access.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'Invite not found' });
+    }
     
-    res.json({ success: true, rooms });
+    const before = { revokedAt: invite.revokedAt };
+    invite.revokedAt = invite.revokedAt || new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.invite.revoke',
+      room,
+      before,
+      after: { revokedAt: invite.revokedAt },
+      metadata: { inviteId: invite._id }
+    });
+    
+    res.json({ success: true, invite: roomAccessService.toInviteView(invite) });
   } catch (error) {
-    console.error('Error fetching user rooms:', error);
+    console.error('Error revoking invite:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// POST /api/rooms/:roomId/update-stats - Update participant stats
-router.post('/:roomId/update-stats', async (req, res) => {
+// PUT /api/rooms/:roomId/leave - Leave a room. A leaving creator hands the room to { transferTo },
+// or else to the next co-host, moderator or participant; the room is only cancelled when empty.
+router.put('/:roomId/leave', requireAuth, async (req, res) => {
   try {
-    console.log('🔄 UPDATE STATS REQUEST RECEIVED');
-    console.log('Request body:', req.body);
-    const { auth0Id, profiles, frontendStats } = req.body;
-    
-    if (!auth0Id) {
-      return res.status(400).json({ success: false, message: 'auth0Id is required' });
-    }
+    const { auth0Id } = req.auth;
+    const { transferTo } = req.body || {};
     
     const room = await Room.findById(req.params.roomId);
     
@@ -546,187 +712,945 @@ router.post('/:roomId/update-stats', async (req, res) => {
     }
     
     if (!room.isParticipant(auth0Id)) {
-      return res.status(403).json({ 
+      return res.status(400).json({ 
         success: false, 
         message: 'User is not a participant in this room' 
       });
     }
     
-    const participant = room.participants.find(p => p.auth0Id === auth0Id);
-    if (!participant) {
-      return res.status(404).json({ success: false, message: 'Participant not found' });
-    }
-    
-    // Update profiles if provided
-    if (profiles) {
-      console.log('DEBUG: Profiles received from frontend:', profiles);
-      console.log('DEBUG: Current participant profiles:', participant.profiles);
-      participant.profiles = { ...participant.profiles, ...profiles };
-      console.log('DEBUG: Updated participant profiles:', participant.profiles);
-    }
-    
-    // Initialize stats if not present
-    if (!participant.stats) {
-      participant.stats = {
-        leetcode: { easy: 0, medium: 0, hard: 0, total: 0 },
-        github: { totalCommits: 0, weeklyCommits: 0, monthlyCommits: 0 }
-      };
-    }
-    
-    const errors = [];
-    const updates = {};
-    
-    // Update GitHub stats - prefer frontend stats if available, fallback to API
-    console.log('DEBUG: Checking GitHub profile:', participant.profiles.github);
-    console.log('DEBUG: Full profiles object:', participant.profiles);
-    
-    if (participant.profiles.github) {
-      console.log('DEBUG: Processing GitHub stats for profile:', participant.profiles.github);
-      console.log('DEBUG: Frontend stats received:', frontendStats?.github);
+    const before = snapshotRoom(room);
+    let newCreator = null;
+    if (room.isCreator(auth0Id)) {
+      if (transferTo !== undefined && (transferTo === auth0Id || !room.isParticipant(transferTo))) {
+        return res.status(400).json({ success: false, message: 'transferTo must be another active participant' });
+      }
       
-      if (frontendStats?.github) {
-        // Use pre-fetched stats from frontend
-        participant.stats.github = frontendStats.github;
-        updates.github = participant.stats.github;
-        console.log(`✅ Used frontend GitHub stats for ${participant.profiles.github}:`, participant.stats.github);
+      newCreator = transferTo
+        ? room.participants.find(p => p.auth0Id === transferTo && p.isActive)
+        : room.findSuccessor();
+      
+      if (newCreator) {
+        room.transferOwnership(newCreator.auth0Id, { previousRole: 'participant' });
       } else {
-        // Backend API fetch with fallback
-        try {
-          console.log(`🔄 Fetching GitHub stats from backend for: ${participant.profiles.github}`);
-          
-          // Validate username first
-          const isValidGitHub = await githubAPI.validateUsername(participant.profiles.github);
-          if (!isValidGitHub) {
-            console.warn(`❌ GitHub username "${participant.profiles.github}" not found, using fallback`);
-            // Use fallback stats for invalid username
-            participant.stats.github = {
-              totalCommits: 50,
-              weeklyCommits: 5,
-              monthlyCommits: 20
-            };
-            updates.github = participant.stats.github;
-            errors.push(`GitHub username "${participant.profiles.github}" not found - using estimated stats`);
-          } else {
-            // Try GraphQL first, fallback to estimation
-            console.log(`📊 BEFORE GraphQL - existing stats:`, participant.stats.github);
-            const graphqlStats = await githubAPI.getContributionStatsGraphQL(participant.profiles.github);
-            if (graphqlStats.supported) {
-              console.log(`🔥 GraphQL SUCCESS - raw response:`, { total: graphqlStats.total, week: graphqlStats.thisWeek, month: graphqlStats.thisMonth });
-              
-              // Create completely new object to avoid reference issues
-              const newGithubStats = {
-                totalCommits: graphqlStats.total,
-                weeklyCommits: graphqlStats.thisWeek,
-                monthlyCommits: graphqlStats.thisMonth,
-                lastUpdated: new Date()
-              };
-              
-              participant.stats.github = newGithubStats;
-              updates.github = participant.stats.github;
-              console.log(`✅ AFTER assignment - participant stats:`, participant.stats.github);
-              console.log(`� Verifying totalCommits specifically:`, participant.stats.github.totalCommits);
-            } else {
-              // Fallback to estimation
-              const githubStats = await githubAPI.getUserCommitStats(participant.profiles.github);
-              participant.stats.github = {
-                totalCommits: githubStats.total || 100,
-                weeklyCommits: githubStats.thisWeek || 10,
-                monthlyCommits: githubStats.thisMonth || 40
-              };
-              updates.github = participant.stats.github;
-              console.log(`✅ GitHub estimation stats fetched for ${participant.profiles.github}:`, participant.stats.github, `(GraphQL failed: ${graphqlStats.reason})`);
-            }
-          }
-        } catch (error) {
-          console.error('❌ GitHub API error:', error);
-          // Use fallback stats when API fails
-          participant.stats.github = {
-            totalCommits: 75,
-            weeklyCommits: 8,
-            monthlyCommits: 30
-          };
-          updates.github = participant.stats.github;
-          console.log(`⚠️ GitHub API failed, using fallback stats:`, participant.stats.github);
-          errors.push('GitHub API temporarily unavailable - using estimated stats');
-        }
+        // Nobody left to hand the room to
+        room.status = 'cancelled';
+        room.isActive = false;
+        sessionService.cancelCompletion(room._id);
       }
     }
     
-    // Update LeetCode stats - prefer frontend stats if available, fallback to API
-    if (participant.profiles.leetcode) {
-      if (frontendStats?.leetcode) {
-        // Use pre-fetched stats from frontend
-        participant.stats.leetcode = frontendStats.leetcode;
-        updates.leetcode = participant.stats.leetcode;
-        console.log(`Used frontend LeetCode stats for ${participant.profiles.leetcode}:`, participant.stats.leetcode);
-      } else {
-        // Backend API fetch with fallback
-        try {
-          console.log(`🔄 Fetching LeetCode stats from backend for: ${participant.profiles.leetcode}`);
-          const leetcodeStats = await leetcodeAPI.getUserStats(participant.profiles.leetcode);
-          
-          if (leetcodeStats.error) {
-            console.warn(`❌ LeetCode API error for ${participant.profiles.leetcode}:`, leetcodeStats.message);
-            // Use fallback stats when API returns error
-            participant.stats.leetcode = {
-              easy: 10,
-              medium: 5,
-              hard: 2,
-              total: 17
-            };
-            updates.leetcode = participant.stats.leetcode;
-            errors.push(`LeetCode API error - using estimated stats`);
-          } else {
-            participant.stats.leetcode = {
-              easy: leetcodeStats.easySolved || 0,
-              medium: leetcodeStats.mediumSolved || 0,
-              hard: leetcodeStats.hardSolved || 0,
-              total: leetcodeStats.totalSolved || 0
-            };
-            updates.leetcode = participant.stats.leetcode;
-            console.log(`✅ LeetCode stats fetched from backend for ${participant.profiles.leetcode}:`, participant.stats.leetcode);
-          }
-        } catch (error) {
-          console.error('❌ LeetCode API error:', error);
-          // Use fallback stats when API call fails
-          participant.stats.leetcode = {
-            easy: 8,
-            medium: 4,
-            hard: 1,
-            total: 13
-          };
-          updates.leetcode = participant.stats.leetcode;
-          console.log(`⚠️ LeetCode API failed, using fallback stats:`, participant.stats.leetcode);
-          errors.push(`LeetCode API temporarily unavailable - using estimated stats`);
-        }
-      }
+    if (room.status !== 'cancelled') {
+      // Mark participant as inactive
+      const participant = room.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+      participant.isActive = false;
     }
     
-    // Update timestamp
-    participant.statsLastUpdated = new Date();
     room.lastActivity = new Date();
+    await room.save();
     
-    console.log('DEBUG: About to save room with participant stats:', {
-      participantName: participant.name,
-      githubStats: participant.stats.github,
-      leetcodeStats: participant.stats.leetcode
+    await auditService.record(req, {
+      action: 'room.leave',
+      room,
+      subject: auth0Id,
+      before,
+      after: snapshotRoom(room),
+      metadata: { transferredTo: newCreator?.auth0Id || null }
     });
     
+    if (room.status === 'cancelled') {
+      roomEvents.publish(room._id, 'room:cancelled', { auth0Id, room });
+    } else {
+      if (newCreator) {
+        roomEvents.publish(room._id, 'room:ownership-transferred', { from: auth0Id, to: newCreator.auth0Id, room });
+      }
+      roomEvents.publish(room._id, 'participant:left', { auth0Id, room });
+    }
+    
+    res.json({ success: true, room });
+  } catch (error) {
+    console.error('Error leaving room:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId/transfer - Hand the room to another active participant (creator only)
+router.put('/:roomId/transfer', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { auth0Id: targetId } = req.body;
+    
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'transferOwnership')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator can transfer ownership' });
+    }
+    
+    if (!targetId || targetId === auth0Id || !room.isParticipant(targetId)) {
+      return res.status(400).json({ success: false, message: 'auth0Id must be another active participant' });
+    }
+    
+    const before = snapshotRoom(room);
+    room.transferOwnership(targetId);
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, { action: 'room.transfer', room, subject: targetId, before, after: snapshotRoom(room) });
+    
+    roomEvents.publish(room._id, 'room:ownership-transferred', { from: auth0Id, to: targetId, room });
+    
+    res.json({ success: true, room });
+  } catch (error) {
+    console.error('Error transferring room ownership:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId/participants/:auth0Id/role - Make a participant a co-host, moderator
+// or plain participant (creator only)
+router.put('/:roomId/participants/:auth0Id/role', requireAuth, async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+    }
+    
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(req.auth.auth0Id, 'manageRoles')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator can change roles' });
+    }
+    
+    const participant = room.participants.find(p => p.auth0Id === req.params.auth0Id && p.isActive);
+    if (!participant || room.isCreator(participant.auth0Id)) {
+      return res.status(404).json({ success: false, message: 'Participant not found' });
+    }
+    
+    const previousRole = participant.role;
+    participant.role = role;
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.participant.role',
+      room,
+      subject: participant.auth0Id,
+      before: { role: previousRole },
+      after: { role }
+    });
+    
+    roomEvents.publish(room._id, 'participant:role-changed', { auth0Id: participant.auth0Id, role, room });
+    
+    res.json({ success: true, participant, room });
+  } catch (error) {
+    console.error('Error changing participant role:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rooms/:roomId/moderation - Bans, mutes and the moderation log (creator, co-hosts and moderators)
+router.get('/:roomId/moderation', requireAuth, async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.roomId).select('+moderation');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(req.auth.auth0Id, 'kick')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator, co-hosts and moderators can view moderation' });
+    }
+    
+    const now = new Date();
+    const { bans, mutes, actions } = room.moderation;
+    
+    res.json({
+      success: true,
+      bans,
+      mutes: mutes.filter(mute => !mute.expiresAt || mute.expiresAt > now),
+      actions: [...actions].reverse()
+    });
+  } catch (error) {
+    console.error('Error fetching room moderation:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/participants/:auth0Id/kick - Remove a participant from the room ({ reason })
+// (creator, co-hosts and moderators; only members of a lower role can be kicked)
+router.post('/:roomId/participants/:auth0Id/kick', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const targetId = req.params.auth0Id;
+    
+    const room = await Room.findById(req.params.roomId).select('+moderation');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'kick')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator, co-hosts and moderators can kick participants' });
+    }
+    
+    if (room.isParticipant(targetId) && !room.outranks(auth0Id, targetId)) {
+      return res.status(403).json({ success: false, message: 'You can only kick participants with a lower role than yours' });
+    }
+    
+    const action = moderationService.kick(room, { auth0Id: targetId, by: auth0Id, reason: req.body.reason });
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.participant.kick',
+      room,
+      subject: targetId,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { reason: action.reason }
+    });
+    
+    roomEvents.publish(room._id, 'participant:kicked', { auth0Id: targetId, by: auth0Id, reason: action.reason, room });
+    
+    res.json({ success: true, action, room });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    console.error('Error kicking participant:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/participants/:auth0Id/ban - Remove a user and block them from rejoining ({ reason })
+// (creator, co-hosts and moderators; members must have a lower role)
+router.post('/:roomId/participants/:auth0Id/ban', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const targetId = req.params.auth0Id;
+    
+    const room = await Room.findById(req.params.roomId).select('+access +moderation');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'ban')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator, co-hosts and moderators can ban users' });
+    }
+    
+    if (!room.outranks(auth0Id, targetId)) {
+      return res.status(403).json({ success: false, message: 'You can only ban users with a lower role than yours' });
+    }
+    
+    // Users who never joined can be banned pre-emptively, as long as they exist
+    let name = room.participants.find(p => p.auth0Id === targetId)?.name;
+    if (!name) {
+      const user = await User.findOne({ auth0Id: targetId }).select('name');
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      name = user.name;
+    }
+    
+    const { action, removed } = moderationService.ban(room, { auth0Id: targetId, name, by: auth0Id, reason: req.body.reason });
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.participant.ban',
+      room,
+      subject: targetId,
+      before: { banned: false, isActive: removed },
+      after: { banned: true, isActive: false },
+      metadata: { reason: action.reason }
+    });
+    
+    roomEvents.publish(room._id, 'participant:banned', { auth0Id: targetId, by: auth0Id, reason: action.reason, removed, room });
+    
+    res.json({ success: true, action, room });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    console.error('Error banning user:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/rooms/:roomId/participants/:auth0Id/ban - Lift a ban ({ reason } optional)
+router.delete('/:roomId/participants/:auth0Id/ban', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await Room.findById(req.params.roomId).select('+moderation');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'ban')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator, co-hosts and moderators can lift bans' });
+    }
+    
+    const ban = moderationService.getBan(room, req.params.auth0Id);
+    if (ban && !moderationService.canLift(room, auth0Id, ban)) {
+      return res.status(403).json({ success: false, message: 'You can only lift bans on lower roles that were not imposed by a higher role' });
+    }
+    
+    const action = moderationService.unban(room, { auth0Id: req.params.auth0Id, by: auth0Id, reason: req.body?.reason });
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.participant.unban',
+      room,
+      subject: req.params.auth0Id,
+      before: { banned: true },
+      after: { banned: false },
+      metadata: { reason: action.reason }
+    });
+    
+    roomEvents.publish(room._id, 'participant:unbanned', { auth0Id: req.params.auth0Id, by: auth0Id });
+    
+    res.json({ success: true, action });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    console.error('Error lifting ban:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/participants/:auth0Id/mute - Stop a participant posting in chat
+// ({ reason, durationMinutes }, indefinite without a duration; creator, co-hosts and moderators)
+router.post('/:roomId/participants/:auth0Id/mute', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const targetId = req.params.auth0Id;
+    const { reason, durationMinutes } = req.body;
+    
+    const room = await Room.findById(req.params.roomId).select('+moderation');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'mute')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator, co-hosts and moderators can mute participants' });
+    }
+    
+    if (room.isParticipant(targetId) && !room.outranks(auth0Id, targetId)) {
+      return res.status(403).json({ success: false, message: 'You can only mute participants with a lower role than yours' });
+    }
+    
+    const previous = moderationService.getActiveMute(room, targetId);
+    const before = { muted: !!previous, mutedUntil: previous?.expiresAt || null };
+    const action = moderationService.mute(room, { auth0Id: targetId, by: auth0Id, reason, durationMinutes });
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.participant.mute',
+      room,
+      subject: targetId,
+      before,
+      after: { muted: true, mutedUntil: action.expiresAt },
+      metadata: { reason: action.reason }
+    });
+    
+    roomEvents.publish(room._id, 'participant:muted', { auth0Id: targetId, by: auth0Id, reason: action.reason, expiresAt: action.expiresAt });
+    
+    res.json({ success: true, action });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    console.error('Error muting participant:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/rooms/:roomId/participants/:auth0Id/mute - Lift a mute ({ reason } optional)
+router.delete('/:roomId/participants/:auth0Id/mute', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await Room.findById(req.params.roomId).select('+moderation');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'mute')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator, co-hosts and moderators can unmute participants' });
+    }
+    
+    const mute = moderationService.getActiveMute(room, req.params.auth0Id);
+    if (mute && !moderationService.canLift(room, auth0Id, mute)) {
+      return res.status(403).json({ success: false, message: 'You can only lift mutes on lower roles that were not imposed by a higher role' });
+    }
+    
+    const action = moderationService.unmute(room, { auth0Id: req.params.auth0Id, by: auth0Id, reason: req.body?.reason });
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.participant.unmute',
+      room,
+      subject: req.params.auth0Id,
+      before: { muted: true },
+      after: { muted: false },
+      metadata: { reason: action.reason }
+    });
+    
+    roomEvents.publish(room._id, 'participant:unmuted', { auth0Id: req.params.auth0Id, by: auth0Id });
+    
+    res.json({ success: true, action });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    console.error('Error lifting mute:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId - Update room settings (creator and co-hosts)
+router.put('/:roomId', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { settings } = req.body;
+    
+    const room = await Room.findById(req.params.roomId).select('+access');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'manageSettings')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator or a co-host can update settings' 
+      });
+    }
+    
+    if (room.status !== 'waiting') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cannot update room settings after the session has started' 
+      });
+    }
+    
+    const before = snapshotRoom(room);
+    
+    // Update settings
+    if (settings) {
+      if (settings.maxParticipants !== undefined) {
+        room.settings.maxParticipants = Math.min(Math.max(settings.maxParticipants, 2), 100);
+      }
+      if (settings.difficulty !== undefined) {
+        room.settings.difficulty = settings.difficulty;
+      }
+      if (settings.language !== undefined) {
+        room.settings.language = settings.language;
+      }
+      if (settings.timeLimit !== undefined) {
+        room.settings.timeLimit = Math.min(Math.max(settings.timeLimit, 15), 180);
+      }
+      if (settings.allowChat !== undefined) {
+        room.settings.allowChat = settings.allowChat;
+      }
+      if (settings.isPublic !== undefined) {
+        room.settings.isPublic = settings.isPublic;
+      }
+      if (settings.requireApproval !== undefined) {
+        room.settings.requireApproval = settings.requireApproval === true;
+      }
+      if (settings.password !== undefined) {
+        await roomAccessService.setPassword(room, settings.password);
+      }
+      if (settings.leaderboard !== undefined) {
+        const parsed = parseLeaderboardSettings(settings.leaderboard);
+        if (parsed.error) {
+          return res.status(400).json({ success: false, message: parsed.error });
+        }
+        room.set(parsed.updates);
+      }
+    }
+    
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, {
+      action: 'room.update',
+      room,
+      before,
+      after: snapshotRoom(room),
+      metadata: { passwordChanged: settings?.password !== undefined }
+    });
+    
+    roomEvents.publish(room._id, 'room:updated', { settings: room.settings, room });
+    
+    res.json({ success: true, room });
+  } catch (error) {
+    if (ACCESS_ERROR_STATUS[error.code]) {
+      return res.status(ACCESS_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+    }
+    console.error('Error updating room:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId/start - Start room session (creator and co-hosts)
+router.put('/:roomId/start', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { problemData, autoSelect, roundTimeLimit } = req.body;
+    
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'manageSession')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator or a co-host can start the session' 
+      });
+    }
+    
+    if (room.status !== 'waiting') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Room session has already been started' 
+      });
+    }
+    
+    if (problemData && !problemData.title) {
+      return res.status(400).json({ success: false, message: 'problemData.title is required' });
+    }
+    
+    const before = snapshotRoom(room);
+    
+    // Start the session; it completes automatically once settings.timeLimit passes
+    const now = new Date();
+    sessionService.beginSession(room, now);
+    
+    // Problem precedence: explicit problemData, then the creator's queued set, then a random catalog pick
+    let problems = [];
+    if (problemData) {
+      problems = [problemData];
+    } else if (room.problemSet.length > 0) {
+      problems = room.problemSet.map(problem => problem.toObject());
+    } else if (autoSelect !== false) {
+      problems = await problemService.pickForRoom(room);
+      if (problems.length === 0) {
+        console.warn(`⚠️ No unassigned ${room.settings.difficulty} problems left in the catalog for room ${room.name}`);
+      }
+    }
+    
+    // Each problem becomes a round; the first one starts now
+    if (problems.length > 0) {
+      room.rounds = problemService.buildRounds(room, problems, roundTimeLimit);
+      room.problemSet = [];
+      problemService.startRound(room, 0, now);
+    }
+    room.lastActivity = now;
+    
+    await room.save();
+    sessionService.scheduleCompletion(room);
+    
+    await auditService.record(req, { action: 'room.start', room, before, after: snapshotRoom(room) });
+    
+    try {
+      await resultsService.recordSessionStart(room);
+    } catch (error) {
+      console.error('Error recording session start snapshot:', error);
+    }
+    
+    roomEvents.publish(room._id, 'session:started', { 
+      currentProblem: room.currentProblem, 
+      currentRound: room.currentRound, 
+      session: room.session, 
+      room 
+    });
+    
+    res.json({ success: true, room });
+  } catch (error) {
+    console.error('Error starting room session:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId/problem-set - Queue the problems for the next session (creator and co-hosts)
+router.put('/:roomId/problem-set', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { slugs, count } = req.body;
+    
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'manageSession')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator or a co-host can set the problem set' 
+      });
+    }
+    
+    if (room.status !== 'waiting') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cannot change the problem set after the session has started' 
+      });
+    }
+    
+    const before = snapshotRoom(room);
+    let problems;
+    
+    if (Array.isArray(slugs)) {
+      // Explicit list of catalog slugs, in session order
+      if (slugs.length > MAX_PROBLEM_SET_SIZE) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `A problem set can contain at most ${MAX_PROBLEM_SET_SIZE} problems` 
+        });
+      }
+      
+      // Entries are either a slug or { slug, timeLimit } for a custom round budget
+      const entries = slugs.map(entry => typeof entry === 'string' ? { slug: entry } : entry || {});
+      const resolved = await problemService.resolveSlugs(entries.map(entry => entry.slug || ''));
+      if (resolved.missing.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Unknown problems: ${resolved.missing.join(', ')}` 
+        });
+      }
+      problems = resolved.problems.map((problem, index) => {
+        const timeLimit = parseInt(entries[index].timeLimit);
+        return timeLimit ? { ...problem, timeLimit: Math.min(Math.max(timeLimit, 1), 180) } : problem;
+      });
+    } else if (count !== undefined) {
+      // Random picks matching the room difficulty
+      const size = parseInt(count);
+      if (!(size >= 1 && size <= MAX_PROBLEM_SET_SIZE)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `count must be between 1 and ${MAX_PROBLEM_SET_SIZE}` 
+        });
+      }
+      
+      room.problemSet = [];
+      problems = await problemService.pickForRoom(room, size);
+      if (problems.length < size) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Only ${problems.length} unassigned ${room.settings.difficulty} problems are available` 
+        });
+      }
+    } else {
+      return res.status(400).json({ success: false, message: 'Either slugs or count is required' });
+    }
+    
+    room.problemSet = problems;
+    room.lastActivity = new Date();
+    await room.save();
+    
+    await auditService.record(req, { action: 'room.problem-set', room, before, after: snapshotRoom(room) });
+    
+    roomEvents.publish(room._id, 'room:updated', { problemSet: room.problemSet, room });
+    
+    res.json({ success: true, problemSet: room.problemSet, room });
+  } catch (error) {
+    console.error('Error updating problem set:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId/rounds/next - Close the current round and start the next one (creator and co-hosts)
+router.put('/:roomId/rounds/next', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'manageSession')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator or a co-host can advance rounds' 
+      });
+    }
+    
+    if (room.status !== 'active') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Room session is not running' 
+      });
+    }
+    
+    const nextIndex = room.currentRound + 1;
+    if (nextIndex >= room.rounds.length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This is the last round. End the session instead.' 
+      });
+    }
+    
+    const before = snapshotRoom(room);
+    const now = new Date();
+    problemService.startRound(room, nextIndex, now);
+    room.lastActivity = now;
+    await room.save();
+    
+    await auditService.record(req, { action: 'room.round.next', room, before, after: snapshotRoom(room) });
+    
+    roomEvents.publish(room._id, 'round:started', { 
+      currentRound: room.currentRound, 
+      round: room.rounds[room.currentRound], 
+      currentProblem: room.currentProblem 
+    });
+    
+    res.json({ success: true, currentRound: room.currentRound, room });
+  } catch (error) {
+    console.error('Error advancing round:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/rooms/:roomId/end - End the running session early and freeze the leaderboard (creator and co-hosts)
+router.put('/:roomId/end', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'manageSession')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator or a co-host can end the session' 
+      });
+    }
+    
+    if (room.status !== 'active') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Room session is not running' 
+      });
+    }
+    
+    const before = snapshotRoom(room);
+    const completed = await sessionService.completeSession(room, { reason: 'ended_by_creator', endedBy: auth0Id });
+    
+    if (!completed) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Room session has already ended' 
+      });
+    }
+    
+    await auditService.record(req, { action: 'room.end', room: completed, before, after: snapshotRoom(completed) });
+    
+    res.json({ success: true, room: completed, leaderboard: completed.session.finalLeaderboard });
+  } catch (error) {
+    console.error('Error ending room session:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/rooms/:roomId - Delete room (only creator)
+router.delete('/:roomId', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(auth0Id, 'deleteRoom')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator can delete the room' 
+      });
+    }
+    
+    const before = snapshotRoom(room);
+    
+    // Soft delete - mark as inactive
+    room.isActive = false;
+    room.status = 'cancelled';
+    room.lastActivity = new Date();
+    
+    await room.save();
+    sessionService.cancelCompletion(room._id);
+    
+    await auditService.record(req, { action: 'room.delete', room, before, after: snapshotRoom(room) });
+    
+    roomEvents.publish(room._id, 'room:cancelled', { auth0Id, room });
+    
+    res.json({ success: true, message: 'Room deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rooms/user/:auth0Id - Get user's rooms (created and joined); private rooms the
+// caller isn't in are shown as previews
+router.get('/user/:auth0Id', optionalAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.params;
+    const { type = 'all' } = req.query; // 'created', 'joined', 'all'
+    
+    let filter = { isActive: true };
+    
+    if (type === 'created') {
+      filter['creator.auth0Id'] = auth0Id;
+    } else if (type === 'joined') {
+      filter['participants.auth0Id'] = auth0Id;
+      filter['creator.auth0Id'] = { $ne: auth0Id };
+    } else {
+      // All rooms (created or joined)
+      filter.$or = [
+        { 'creator.auth0Id': auth0Id },
+        { 'participants.auth0Id': auth0Id }
+      ];
+    }
+    
+    const viewer = req.auth?.auth0Id;
+    const rooms = (await Room.find(filter)
+      .select('-__v +access')
+      .sort({ lastActivity: -1 }))
+      .map(room => roomAccessService.canView(room, viewer) ? room : roomAccessService.toPreview(room, viewer));
+    
+    res.json({ success: true, rooms });
+  } catch (error) {
+    console.error('Error fetching user rooms:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/update-stats - Update participant stats (client-reported stats are verified)
+router.post('/:roomId/update-stats', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { profiles, frontendStats } = req.body;
+    
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.isParticipant(auth0Id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'User is not a participant in this room' 
+      });
+    }
+    
+    const participant = room.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+    if (!participant) {
+      return res.status(404).json({ success: false, message: 'Participant not found' });
+    }
+    
+    // Linked accounts live on the User, so profiles sent here apply to every room
+    const existing = await User.findOne({ auth0Id });
+    const user = profiles && existing
+      ? await userStatsService.linkAccounts(auth0Id, profiles)
+      : existing;
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const account = userStatsService.toAccount(user);
+    
+    // Client-reported stats are never stored: the server fetches (cached) values itself and
+    // only uses the client's numbers to flag reports that disagree with them.
+    // Providers that fail keep their last known values; nothing is made up.
+    const { updates: serverStats, cache, failures, errors } = await userStatsService.fetchAll(account.profiles);
+    
+    for (const [provider, stats] of Object.entries(serverStats)) {
+      console.log(`✅ ${provider} stats fetched for ${account.profiles[provider]} (${stats.provenance.method})`);
+    }
+    for (const [provider, reason] of Object.entries(failures)) {
+      console.warn(`❌ ${provider} stats unavailable for ${account.profiles[provider]}, keeping last known values: ${reason}`);
+    }
+    
+    // Check whatever the client reported against the server's values
+    const flags = [];
+    for (const provider of ['github', 'leetcode']) {
+      if (!frontendStats?.[provider] || !account.profiles[provider]) continue;
+      
+      const verdict = statsVerificationService.verify(provider, frontendStats[provider], serverStats[provider]);
+      
+      if (verdict.flagged) {
+        console.warn(`🚩 Rejected client ${provider} stats for ${account.profiles[provider]} (${verdict.reason})`);
+        await statsVerificationService.recordFlag({
+          room,
+          participant,
+          provider,
+          username: account.profiles[provider],
+          submitted: frontendStats[provider],
+          server: serverStats[provider] || null,
+          verdict
+        });
+        flags.push({ provider, reason: verdict.reason, mismatches: verdict.mismatches });
+      }
+    }
+    
+    // Stored once on the user; every room's leaderboard reads the same values
+    const saved = await userStatsService.saveStats(auth0Id, serverStats, failures);
+    
+    room.lastActivity = new Date();
+    await applyLeaderboardScores(room);
     await room.save();
     
-    console.log('✅ Room saved successfully with updated stats');
+    const previous = userStatsService.toAccount(existing);
+    await auditService.record(req, {
+      action: 'room.update-stats',
+      room,
+      subject: auth0Id,
+      before: { profiles: previous.profiles, stats: previous.stats },
+      after: { profiles: saved.profiles, stats: saved.stats },
+      metadata: { flags }
+    });
+    
+    console.log('✅ User stats saved and room re-scored');
+    
+    roomEvents.publish(room._id, 'stats:updated', {
+      auth0Id: participant.auth0Id,
+      stats: saved.stats,
+      statsLastUpdated: saved.statsLastUpdated
+    });
 
     res.json({ 
       success: true, 
       message: 'Stats updated successfully',
-      updates,
+      updates: serverStats,
+      cache,
       errors: errors.length > 0 ? errors : undefined,
+      flags: flags.length > 0 ? flags : undefined,
       participant: {
         auth0Id: participant.auth0Id,
         name: participant.name,
-        profiles: participant.profiles,
-        stats: participant.stats,
-        statsLastUpdated: participant.statsLastUpdated
+        profiles: saved.profiles,
+        stats: saved.stats,
+        statsLastUpdated: saved.statsLastUpdated
       }
     });
   } catch (error) {
@@ -735,92 +1659,137 @@ router.post('/:roomId/update-stats', async (req, res) => {
   }
 });
 
-// POST /api/rooms/:roomId/refresh-leaderboard - Refresh all participant stats (creator only)
-router.post('/:roomId/refresh-leaderboard', async (req, res) => {
+// GET /api/rooms/:roomId/stats-flags - Rejected client-reported stats updates (creator, co-hosts and moderators)
+router.get('/:roomId/stats-flags', requireAuth, async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.can(req.auth.auth0Id, 'viewFlags')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the room creator, co-hosts and moderators can view flagged stats' 
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const flags = await statsVerificationService.getRoomFlags(room._id, { limit });
+    
+    res.json({ success: true, flags });
+  } catch (error) {
+    console.error('Error fetching stats flags:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rooms/:roomId/audit - Who changed what in the room, newest first (creator only)
+// (?action=room.start,room.end&actor=&subject=&from=&to=&before=&limit=)
+router.get('/:roomId/audit', requireAuth, async (req, res) => {
   try {
-    const { auth0Id } = req.body;
+    const room = await Room.findById(req.params.roomId);
+    
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
     
-    if (!auth0Id) {
-      return res.status(400).json({ success: false, message: 'auth0Id is required' });
+    if (!room.can(req.auth.auth0Id, 'viewAudit')) {
+      return res.status(403).json({ success: false, message: 'Only the room creator can view the audit log' });
     }
     
+    const { action, actor, subject } = req.query;
+    const dates = {};
+    for (const key of ['from', 'to', 'before']) {
+      if (!req.query[key]) continue;
+      dates[key] = new Date(req.query[key]);
+      if (isNaN(dates[key].getTime())) {
+        return res.status(400).json({ success: false, message: `${key} must be a valid date` });
+      }
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const actions = typeof action === 'string' ? action.split(',').map(name => name.trim()).filter(Boolean) : [];
+    
+    const log = await auditService.getRoomLog(room._id, {
+      actions,
+      actor: typeof actor === 'string' ? actor : undefined,
+      subject: typeof subject === 'string' ? subject : undefined,
+      ...dates,
+      limit
+    });
+    
+    res.json({ success: true, ...log });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/refresh-leaderboard - Refresh all participant stats (creator, co-hosts and moderators)
+router.post('/:roomId/refresh-leaderboard', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
     const room = await Room.findById(req.params.roomId);
     
     if (!room || !room.isActive) {
       return res.status(404).json({ success: false, message: 'Room not found' });
     }
     
-    if (!room.isCreator(auth0Id)) {
+    if (!room.can(auth0Id, 'refreshLeaderboard')) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Only the room creator can refresh the leaderboard' 
+        message: 'Only the room creator, co-hosts and moderators can refresh the leaderboard' 
       });
     }
     
     const updates = [];
     const errors = [];
+    const accounts = await userStatsService.getRoomAccounts(room);
+    // Stats before and after, per rewritten participant
+    const before = {};
+    const after = {};
     
-    // Update stats for all participants with profiles
+    // Update stats for all participants with linked accounts
     for (const participant of room.participants) {
       if (participant.isActive === false) continue;
       
-      const participantUpdates = {};
-      
-      // Initialize stats if not present
-      if (!participant.stats) {
-        participant.stats = {
-          leetcode: { easy: 0, medium: 0, hard: 0, total: 0 },
-          github: { totalCommits: 0, weeklyCommits: 0, monthlyCommits: 0 }
-        };
-      }
+      const { profiles } = accounts.get(participant.auth0Id);
+      const { updates: participantUpdates, cache: participantCache, failures, errors: participantErrors } = 
+        await userStatsService.fetchAll(profiles);
       
-      // Update GitHub stats
-      if (participant.profiles?.github) {
-        try {
-          const githubStats = await githubAPI.getUserCommitStats(participant.profiles.github);
-          participant.stats.github = {
-            totalCommits: githubStats.totalCommits,
-            weeklyCommits: githubStats.weeklyCommits,
-            monthlyCommits: githubStats.monthlyCommits
-          };
-          participantUpdates.github = participant.stats.github;
-        } catch (error) {
-          errors.push(`GitHub error for ${participant.name}: ${error.message}`);
-        }
-      }
+      errors.push(...participantErrors.map(error => `${participant.name}: ${error}`));
       
-      // Update LeetCode stats
-      if (participant.profiles?.leetcode) {
-        try {
-          const leetcodeStats = await leetcodeAPI.getUserStats(participant.profiles.leetcode);
-          if (!leetcodeStats.error) {
-            participant.stats.leetcode = {
-              easy: leetcodeStats.easySolved,
-              medium: leetcodeStats.mediumSolved,
-              hard: leetcodeStats.hardSolved,
-              total: leetcodeStats.totalSolved
-            };
-            participantUpdates.leetcode = participant.stats.leetcode;
-          } else {
-            errors.push(`LeetCode error for ${participant.name}: User not found`);
-          }
-        } catch (error) {
-          errors.push(`LeetCode error for ${participant.name}: ${error.message}`);
-        }
+      if (Object.keys(participantUpdates).length > 0 || Object.keys(failures).length > 0) {
+        const saved = await userStatsService.saveStats(participant.auth0Id, participantUpdates, failures);
+        before[participant.auth0Id] = accounts.get(participant.auth0Id).stats;
+        after[participant.auth0Id] = saved.stats;
       }
-      
       if (Object.keys(participantUpdates).length > 0) {
-        participant.statsLastUpdated = new Date();
         updates.push({
           name: participant.name,
-          updates: participantUpdates
+          updates: participantUpdates,
+          cache: participantCache
         });
       }
     }
     
     room.lastActivity = new Date();
+    await applyLeaderboardScores(room);
     await room.save();
     
+    await auditService.record(req, {
+      action: 'room.refresh-leaderboard',
+      room,
+      before,
+      after,
+      metadata: { refreshed: updates.length, errors: errors.length }
+    });
+    
+    roomEvents.publish(room._id, 'leaderboard:refreshed', { updates });
+    
     res.json({ 
       success: true, 
       message: `Leaderboard refreshed for ${updates.length} participants`,
@@ -833,40 +1802,4 @@ router.post('/:roomId/refresh-leaderboard', async (req, res) => {
   }
 });
 
-// GET /api/rooms/:roomId/debug-stats - Debug endpoint to check stored stats
-router.get('/:roomId/debug-stats', async (req, res) => {
-  try {
-    const room = await Room.findById(req.params.roomId);
-    
-    if (!room) {
-      return res.status(404).json({ success: false, message: 'Room not found' });
-    }
-
-    console.log('🔍 DEBUG: Raw database data for room:', room.name);
-    room.participants.forEach(participant => {
-      console.log(`\n📊 ${participant.name} (${participant.auth0Id}):`);
-      console.log('  Profiles:', participant.profiles);
-      console.log('  Stats:', JSON.stringify(participant.stats, null, 2));
-      console.log('  Last Updated:', participant.statsLastUpdated);
-    });
-
-    res.json({ 
-      success: true, 
-      room: {
-        name: room.name,
-        participants: room.participants.map(p => ({
-          name: p.name,
-          auth0Id: p.auth0Id,
-          profiles: p.profiles,
-          stats: p.stats,
-          statsLastUpdated: p.statsLastUpdated
-        }))
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching debug stats:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
-  }
-});
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,200 @@
+import express from 'express';
+import Room from '../models/Room.js';
+import Submission from '../models/Submission.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { roomEvents } from '../services/roomEvents.js';
+import { sessionService } from '../services/sessionService.js';
+import { submissionService } from '../services/submissionService.js';
+import { roomAccessService } from '../services/roomAccessService.js';
+
+// Mounted at /api/rooms/:roomId/submissions
+const router = express.Router({ mergeParams: true });
+
+// Mirror the Submission schema limits so bad input is a 400, not a validation error
+const LANGUAGE_MAX_LENGTH = 40;
+const CODE_MAX_LENGTH = 20000;
+const LINK_MAX_LENGTH = 500;
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// GET /api/rooms/:roomId/submissions/leaderboard - Session leaderboard ranked by solves, then time
+router.get('/leaderboard', optionalAuth, async (req, res) => {
+  try {
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId).select('+access'));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!roomAccessService.canView(room, req.auth?.auth0Id)) {
+      return res.status(403).json({ success: false, message: 'Only room members can view this room', reason: 'members_only' });
+    }
+    
+    const leaderboard = await submissionService.buildSessionLeaderboard(room);
+    
+    res.json({ 
+      success: true, 
+      leaderboard,
+      totalRounds: room.rounds.length,
+      currentRound: room.currentRound
+    });
+  } catch (error) {
+    console.error('Error fetching session leaderboard:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/submissions/detect - Check participants' LeetCode accepts for the current problem
+router.post('/detect', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.isParticipant(auth0Id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'User is not a participant in this room' 
+      });
+    }
+    
+    if (room.status !== 'active') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Room session is not running' 
+      });
+    }
+    
+    const detected = await submissionService.detectLeetCodeSolves(room);
+    
+    res.json({ 
+      success: true, 
+      message: `Detected ${detected.length} new solves`,
+      submissions: detected.map(submission => submission.toObject({ versionKey: false }))
+    });
+  } catch (error) {
+    console.error('Error detecting LeetCode solves:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rooms/:roomId/submissions - List solves in the room (optionally for one round)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.roomId).select('+access');
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!roomAccessService.canView(room, req.auth?.auth0Id)) {
+      return res.status(403).json({ success: false, message: 'Only room members can view this room', reason: 'members_only' });
+    }
+    
+    const filter = { room: room._id };
+    if (req.query.round !== undefined) {
+      filter.round = parseInt(req.query.round);
+    }
+    
+    // Code is only returned to its author via the creation response
+    const submissions = await Submission.find(filter)
+      .select('-__v -code')
+      .sort({ solvedAt: 1 });
+    
+    res.json({ success: true, submissions });
+  } catch (error) {
+    console.error('Error fetching submissions:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/rooms/:roomId/submissions - Mark the current problem as solved
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { auth0Id } = req.auth;
+    const { language, code = '', link = '' } = req.body;
+    
+    if (!language || typeof language !== 'string' || !language.trim()) {
+      return res.status(400).json({ success: false, message: 'language is required' });
+    }
+    
+    if (language.trim().length > LANGUAGE_MAX_LENGTH) {
+      return res.status(400).json({ success: false, message: `language cannot exceed ${LANGUAGE_MAX_LENGTH} characters` });
+    }
+    
+    if (typeof code !== 'string' || code.length > CODE_MAX_LENGTH) {
+      return res.status(400).json({ success: false, message: `code must be a string of at most ${CODE_MAX_LENGTH} characters` });
+    }
+    
+    if (typeof link !== 'string' || link.length > LINK_MAX_LENGTH) {
+      return res.status(400).json({ success: false, message: `link must be a string of at most ${LINK_MAX_LENGTH} characters` });
+    }
+    
+    if (link && !isHttpUrl(link)) {
+      return res.status(400).json({ success: false, message: 'link must be an http(s) URL' });
+    }
+    
+    const room = await sessionService.completeIfExpired(await Room.findById(req.params.roomId));
+    
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    if (!room.isParticipant(auth0Id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'User is not a participant in this room' 
+      });
+    }
+    
+    if (room.status !== 'active') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Room session is not running' 
+      });
+    }
+    
+    if (!submissionService.getActiveRound(room)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No problem is currently assigned' 
+      });
+    }
+    
+    const participant = room.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+    const submission = await submissionService.recordSolve(room, participant, {
+      language: language.trim(),
+      code,
+      link
+    });
+    
+    if (!submission) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'You have already solved this round' 
+      });
+    }
+    
+    const publicSubmission = submission.toObject({ versionKey: false });
+    delete publicSubmission.code;
+    roomEvents.publish(room._id, 'submission:created', { submission: publicSubmission });
+    
+    res.status(201).json({ success: true, submission });
+  } catch (error) {
+    console.error('Error recording submission:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,121 +1,69 @@
 import express from 'express';
 import User from '../models/User.js';
 import Room from '../models/Room.js';
-import { githubAPI } from '../services/githubService.js';
-import { leetcodeAPI } from '../services/leetcodeService.js';
+import { requireAuth, requireSelf } from '../middleware/auth.js';
+import { applyLeaderboardScores } from '../services/leaderboardService.js';
+import { statsHistoryService } from '../services/statsHistoryService.js';
+import { userStatsService } from '../services/userStatsService.js';
+import { roomEvents } from '../services/roomEvents.js';
+import { accountVerificationService, VERIFICATION_PROVIDERS } from '../services/accountVerificationService.js';
+import { PROVIDERS, PROVIDER_IDS } from '../services/providerRegistry.js';
+import { auditService } from '../services/auditService.js';
 
 const router = express.Router();
 
-// Helper function to update participant stats in all joined rooms
-async function updateParticipantStatsInRooms(auth0Id, profiles) {
-  try {
-    // Find all rooms where the user is a participant
-    const rooms = await Room.find({
-      'participants.auth0Id': auth0Id,
-      isActive: true
-    });
-
-    for (const room of rooms) {
-      const participant = room.participants.find(p => p.auth0Id === auth0Id);
-      if (!participant || !participant.isActive) continue;
-
-      // Initialize profiles and stats if not present
-      if (!participant.profiles) {
-        participant.profiles = {};
-      }
-      if (!participant.stats) {
-        participant.stats = {
-          leetcode: { easy: 0, medium: 0, hard: 0, total: 0 },
-          github: { totalCommits: 0, weeklyCommits: 0, monthlyCommits: 0 }
-        };
-      }
+const HISTORY_DEFAULT_DAYS = 30;
+const HISTORY_MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ORGANIZATION_LENGTH = 100;
+const MAX_FRIENDS = 200;
 
-      // Update profiles
-      if (profiles.github !== undefined) {
-        participant.profiles.github = profiles.github;
-      }
-      if (profiles.leetcode !== undefined) {
-        participant.profiles.leetcode = profiles.leetcode;
-      }
-
-      // Update GitHub stats if profile is provided and not empty
-      if (participant.profiles.github) {
-        try {
-          console.log(`DEBUG: Updating GitHub stats for ${participant.profiles.github}`);
-          const isValidGitHub = await githubAPI.validateUsername(participant.profiles.github);
-          console.log(`DEBUG: GitHub username valid: ${isValidGitHub}`);
-          
-          if (isValidGitHub) {
-            // Use the same logic as the GitHub stats endpoint
-            const gql = await githubAPI.getContributionStatsGraphQL(participant.profiles.github);
-            console.log(`DEBUG: GraphQL result:`, gql);
-            
-            if (gql.supported) {
-              console.log(`DEBUG: Using GraphQL data`);
-              participant.stats.github = {
-                totalCommits: gql.total,
-                weeklyCommits: gql.thisWeek,
-                monthlyCommits: gql.thisMonth
-              };
-            } else {
-              console.log(`DEBUG: GraphQL not supported, falling back to estimation`);
-              const estimate = await githubAPI.getUserCommitStats(participant.profiles.github);
-              participant.stats.github = {
-                totalCommits: estimate.total,
-                weeklyCommits: estimate.thisWeek,
-                monthlyCommits: estimate.thisMonth
-              };
-            }
-            console.log(`DEBUG: Final GitHub stats for ${participant.profiles.github}:`, participant.stats.github);
-          }
-        } catch (error) {
-          console.error(`DEBUG: GitHub API error for participant ${participant.profiles.github}:`, error);
-        }
-      }
-
-      // Update LeetCode stats if profile is provided and not empty
-      if (participant.profiles.leetcode) {
-        try {
-          const leetcodeStats = await leetcodeAPI.getUserStats(participant.profiles.leetcode);
-          if (!leetcodeStats.error) {
-            participant.stats.leetcode = {
-              easy: leetcodeStats.easySolved || 0,
-              medium: leetcodeStats.mediumSolved || 0,
-              hard: leetcodeStats.hardSolved || 0,
-              total: leetcodeStats.totalSolved || 0
-            };
-          }
-        } catch (error) {
-          console.error('LeetCode API error for participant:', error);
-        }
-      }
-
-      // Update timestamp
-      participant.statsLastUpdated = new Date();
-
-      // Save the room
-      await room.save();
-    }
+// Profile fields compared before and after audited changes
+const profileSnapshot = (user) => ({
+  accounts: userStatsService.toAccount(user).profiles,
+  organization: user?.organization ?? null,
+  preferences: user?.preferences ?? null
+});
 
-    console.log(`Updated participant stats in ${rooms.length} rooms for user ${auth0Id}`);
-  } catch (error) {
-    console.error('Error updating participant stats in rooms:', error);
-    throw error;
+// Refresh the user's platform stats once and re-score every active room they are in
+async function refreshStatsAndRooms(user) {
+  const refresh = await userStatsService.refreshUser(user);
+  refresh.errors.forEach(error => console.warn(`⚠️ ${error}`));
+  
+  const rooms = await Room.find({
+    participants: { $elemMatch: { auth0Id: user.auth0Id, isActive: true } },
+    isActive: true
+  });
+  
+  for (const room of rooms) {
+    await applyLeaderboardScores(room);
+    await room.save();
+    
+    roomEvents.publish(room._id, 'stats:updated', {
+      auth0Id: user.auth0Id,
+      stats: refresh.account.stats,
+      statsLastUpdated: refresh.account.statsLastUpdated
+    });
   }
+  
+  console.log(`Refreshed stats for user ${user.auth0Id} and re-scored ${rooms.length} rooms`);
+  return refresh;
 }
 
 // POST /api/users - Create or update user
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
-    const { auth0Id, email, name, picture } = req.body;
+    const { auth0Id } = req.auth;
+    const { email, name, picture } = req.body;
     
-    if (!auth0Id || !email || !name) {
+    if (!email || !name) {
       return res.status(400).json({ 
         success: false, 
-        message: 'auth0Id, email, and name are required' 
+        message: 'email and name are required' 
       });
     }
     
+    const existing = await User.findOne({ auth0Id }).select('email name picture').lean();
     const user = await User.findOneAndUpdate(
       { auth0Id },
       { 
@@ -123,8 +71,6 @@ router.post('/', async (req, res) => {
         name,
         picture: picture || '',
         $setOnInsert: {
-          leetcodeUsername: '',
-          githubUsername: '',
           preferences: {
             language: 'Any',
             difficulty: 'Mixed'
@@ -139,6 +85,13 @@ router.post('/', async (req, res) => {
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
     
+    await auditService.record(req, {
+      action: existing ? 'user.update-identity' : 'user.create',
+      subject: auth0Id,
+      before: existing ? { email: existing.email, name: existing.name, picture: existing.picture } : {},
+      after: { email: user.email, name: user.name, picture: user.picture }
+    });
+    
     res.json({ success: true, user });
   } catch (error) {
     console.error('Error creating/updating user:', error);
@@ -163,39 +116,72 @@ router.get('/:auth0Id', async (req, res) => {
 });
 
 // PUT /api/users/:auth0Id - Update user profile
-router.put('/:auth0Id', async (req, res) => {
+router.put('/:auth0Id', requireAuth, requireSelf, async (req, res) => {
   try {
-    const { leetcodeUsername, githubUsername, preferences } = req.body;
+    const { accounts = {}, leetcodeUsername, githubUsername, preferences, organization } = req.body;
     
-    const updateData = {};
-    if (leetcodeUsername !== undefined) updateData.leetcodeUsername = leetcodeUsername;
-    if (githubUsername !== undefined) updateData.githubUsername = githubUsername;
-    if (preferences) updateData.preferences = preferences;
+    if (organization !== undefined && (typeof organization !== 'string' || organization.length > MAX_ORGANIZATION_LENGTH)) {
+      return res.status(400).json({ success: false, message: `organization must be a string of at most ${MAX_ORGANIZATION_LENGTH} characters` });
+    }
     
-    const user = await User.findOneAndUpdate(
-      { auth0Id: req.params.auth0Id },
-      updateData,
-      { new: true }
-    );
+    if (!accounts || typeof accounts !== 'object' || Array.isArray(accounts)) {
+      return res.status(400).json({ success: false, message: 'accounts must be an object of provider -> username' });
+    }
+    
+    const unknown = Object.keys(accounts).filter(provider => !PROVIDERS[provider]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown providers: ${unknown.join(', ')}. Available: ${PROVIDER_IDS.join(', ')}` });
+    }
+    
+    // leetcodeUsername/githubUsername are still accepted from older clients
+    const profiles = {
+      ...accounts,
+      ...(leetcodeUsername !== undefined && { leetcode: leetcodeUsername }),
+      ...(githubUsername !== undefined && { github: githubUsername })
+    };
+    
+    if (Object.values(profiles).some(username => typeof username !== 'string')) {
+      return res.status(400).json({ success: false, message: 'Usernames must be strings' });
+    }
+    
+    const existing = await User.findOne({ auth0Id: req.params.auth0Id });
+    
+    // Changing a linked username resets its verification (see userStatsService.linkAccounts)
+    let user = await userStatsService.linkAccounts(req.params.auth0Id, profiles);
     
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
+    
+    if (preferences || organization !== undefined) {
+      user = await User.findOneAndUpdate(
+        { auth0Id: req.params.auth0Id },
+        { 
+          ...(preferences && { preferences }),
+          ...(organization !== undefined && { organization: organization.trim() })
+        },
+        { new: true }
+      );
+    }
+    
+    await auditService.record(req, {
+      action: 'user.update',
+      subject: req.params.auth0Id,
+      before: profileSnapshot(existing),
+      after: profileSnapshot(user)
+    });
 
-    // Update participant stats in all joined rooms if usernames were updated
-    if (leetcodeUsername !== undefined || githubUsername !== undefined) {
+    // Fetch stats for the newly linked accounts if usernames were updated
+    if (Object.keys(profiles).length > 0) {
       try {
-        await updateParticipantStatsInRooms(req.params.auth0Id, {
-          leetcode: leetcodeUsername,
-          github: githubUsername
-        });
+        await refreshStatsAndRooms(user);
       } catch (error) {
-        console.error('Error updating participant stats in rooms:', error);
-        // Don't fail the request if room updates fail
+        console.error('Error refreshing stats for linked accounts:', error);
+        // Don't fail the request if the stats refresh fails
       }
     }
     
-    res.json({ success: true, user });
+    res.json({ success: true, user: await User.findById(user._id) });
   } catch (error) {
     console.error('Error updating user:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -205,21 +191,146 @@ router.put('/:auth0Id', async (req, res) => {
 // GET /api/users/:auth0Id/stats - Get user statistics
 router.get('/:auth0Id/stats', async (req, res) => {
   try {
-    const user = await User.findOne({ auth0Id: req.params.auth0Id }).select('stats');
+    const user = await User.findOne({ auth0Id: req.params.auth0Id })
+      .select('stats linkedAccounts leetcodeUsername githubUsername accountVerification platformStats statsLastUpdated');
     
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
     
-    res.json({ success: true, stats: user.stats });
+    const { profiles, verified, stats: platformStats, statsLastUpdated } = userStatsService.toAccount(user);
+    res.json({ success: true, stats: user.stats, profiles, verified, platformStats, statsLastUpdated });
   } catch (error) {
     console.error('Error fetching user stats:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// GET /api/users/:auth0Id/history - Stats time series (?from=&to=&granularity=day|week)
+router.get('/:auth0Id/history', async (req, res) => {
+  try {
+    const { granularity = 'day' } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - HISTORY_DEFAULT_DAYS * DAY_MS);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates with from before to' });
+    }
+    
+    if (to - from > HISTORY_MAX_DAYS * DAY_MS) {
+      return res.status(400).json({ success: false, message: `History range cannot exceed ${HISTORY_MAX_DAYS} days` });
+    }
+    
+    if (!['day', 'week'].includes(granularity)) {
+      return res.status(400).json({ success: false, message: "granularity must be 'day' or 'week'" });
+    }
+    
+    const user = await User.findOne({ auth0Id: req.params.auth0Id });
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const range = { from, to, granularity };
+    const { profiles } = userStatsService.toAccount(user);
+    const series = await Promise.all(PROVIDER_IDS.map(async provider => [
+      provider,
+      profiles[provider]
+        ? { username: profiles[provider], series: await statsHistoryService.getSeries(provider, profiles[provider], range) }
+        : null
+    ]));
+    
+    res.json({
+      success: true,
+      from,
+      to,
+      granularity,
+      ...Object.fromEntries(series)
+    });
+  } catch (error) {
+    console.error('Error fetching user stats history:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/users/:auth0Id/accounts/:provider/verification - Issue a one-time ownership code
+router.post('/:auth0Id/accounts/:provider/verification', requireAuth, requireSelf, async (req, res) => {
+  try {
+    if (!VERIFICATION_PROVIDERS.includes(req.params.provider)) {
+      return res.status(400).json({ success: false, message: `Provider must be one of: ${VERIFICATION_PROVIDERS.join(', ')}` });
+    }
+    
+    const user = await User.findOne({ auth0Id: req.params.auth0Id });
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const verification = await accountVerificationService.issueCode(user, req.params.provider);
+    
+    // The code itself stays out of the log
+    await auditService.record(req, {
+      action: 'user.verification.issue',
+      subject: req.params.auth0Id,
+      metadata: { provider: verification.provider, username: verification.username, expiresAt: verification.expiresAt }
+    });
+    
+    res.status(201).json({ success: true, verification });
+  } catch (error) {
+    if (error.code === 'VERIFICATION_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error issuing verification code:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/users/:auth0Id/accounts/:provider/verification/check - Look for the code on the account
+router.post('/:auth0Id/accounts/:provider/verification/check', requireAuth, requireSelf, async (req, res) => {
+  try {
+    if (!VERIFICATION_PROVIDERS.includes(req.params.provider)) {
+      return res.status(400).json({ success: false, message: `Provider must be one of: ${VERIFICATION_PROVIDERS.join(', ')}` });
+    }
+    
+    const user = await User.findOne({ auth0Id: req.params.auth0Id });
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const result = await accountVerificationService.checkCode(user, req.params.provider);
+    
+    await auditService.record(req, {
+      action: 'user.verification.check',
+      subject: req.params.auth0Id,
+      before: { verified: false },
+      after: { verified: result.verified },
+      metadata: { provider: result.provider, username: result.username }
+    });
+    
+    if (!result.verified) {
+      return res.status(422).json({ 
+        success: false, 
+        message: `Verification code not found on ${result.username}`,
+        verification: result
+      });
+    }
+    
+    res.json({ success: true, verification: result });
+  } catch (error) {
+    if (error.code === 'VERIFICATION_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'VERIFICATION_CHECK_FAILED') {
+      return res.status(502).json({ success: false, message: error.message });
+    }
+    console.error('Error checking verification code:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // POST /api/users/:auth0Id/refresh-stats - Refresh and update user statistics
-router.post('/:auth0Id/refresh-stats', async (req, res) => {
+router.post('/:auth0Id/refresh-stats', requireAuth, requireSelf, async (req, res) => {
   try {
     const user = await User.findOne({ auth0Id: req.params.auth0Id });
     
@@ -227,17 +338,107 @@ router.post('/:auth0Id/refresh-stats', async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Force update participant stats in all joined rooms with fresh data
-    await updateParticipantStatsInRooms(req.params.auth0Id, {
-      leetcode: user.leetcodeUsername,
-      github: user.githubUsername
+    const previous = userStatsService.toAccount(user);
+    const { account, updates, cache, errors } = await refreshStatsAndRooms(user);
+    
+    await auditService.record(req, {
+      action: 'user.refresh-stats',
+      subject: req.params.auth0Id,
+      before: { stats: previous.stats },
+      after: { stats: account.stats }
     });
     
-    res.json({ success: true, message: 'Stats refreshed successfully' });
+    res.json({ 
+      success: true, 
+      message: 'Stats refreshed successfully',
+      updates,
+      cache,
+      errors: errors.length > 0 ? errors : undefined,
+      account
+    });
   } catch (error) {
     console.error('Error refreshing user stats:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// GET /api/users/:auth0Id/friends - Users on this user's friends leaderboard
+router.get('/:auth0Id/friends', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const user = await User.findOne({ auth0Id: req.params.auth0Id }).select('friends').lean();
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const friends = await User.find({ auth0Id: { $in: user.friends || [] } })
+      .select('auth0Id name picture organization')
+      .lean();
+    
+    res.json({ success: true, friends });
+  } catch (error) {
+    console.error('Error fetching friends:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/users/:auth0Id/friends - Add a user ({ friendId }) to the friends leaderboard
+router.post('/:auth0Id/friends', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { friendId } = req.body;
+    
+    if (typeof friendId !== 'string' || !friendId || friendId === req.params.auth0Id) {
+      return res.status(400).json({ success: false, message: 'friendId must be another user\'s auth0Id' });
+    }
+    
+    const friend = await User.exists({ auth0Id: friendId });
+    if (!friend) {
+      return res.status(404).json({ success: false, message: 'Friend not found' });
+    }
+    
+    // The size check is part of the filter so concurrent adds can't exceed the limit
+    const user = await User.findOneAndUpdate(
+      { auth0Id: req.params.auth0Id, [`friends.${MAX_FRIENDS - 1}`]: { $exists: false } },
+      { $addToSet: { friends: friendId } },
+      { new: true }
+    ).select('friends');
+    
+    if (!user) {
+      const exists = await User.exists({ auth0Id: req.params.auth0Id });
+      return exists
+        ? res.status(400).json({ success: false, message: `You can add at most ${MAX_FRIENDS} friends` })
+        : res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    await auditService.record(req, { action: 'user.friend.add', subject: req.params.auth0Id, metadata: { friendId } });
+    
+    res.json({ success: true, friends: user.friends });
+  } catch (error) {
+    console.error('Error adding friend:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/users/:auth0Id/friends/:friendId - Remove a user from the friends leaderboard
+router.delete('/:auth0Id/friends/:friendId', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { auth0Id: req.params.auth0Id },
+      { $pull: { friends: req.params.friendId } },
+      { new: true }
+    ).select('friends');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    await auditService.record(req, { action: 'user.friend.remove', subject: req.params.auth0Id, metadata: { friendId: req.params.friendId } });
+    
+    res.json({ success: true, friends: user.friends });
+  } catch (error) {
+    console.error('Error removing friend:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Move the legacy leetcodeUsername/githubUsername fields into the provider-keyed linkedAccounts
+// map and drop pending verification codes stored in the old accountVerification shape
+// Usage: node scripts/migrateLinkedAccounts.js [--dry-run]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import User from '../models/User.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const LEGACY_PROFILE_FIELDS = {
+  leetcode: 'leetcodeUsername',
+  github: 'githubUsername'
+};
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not defined in environment variables');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  // Raw documents: the legacy fields are no longer in the User schema
+  const legacyFilter = Object.values(LEGACY_PROFILE_FIELDS).map(field => ({ [field]: { $exists: true } }));
+  const users = await User.collection.find(
+    { $or: legacyFilter },
+    { projection: { auth0Id: 1, linkedAccounts: 1, ...Object.fromEntries(Object.values(LEGACY_PROFILE_FIELDS).map(field => [field, 1])) } }
+  ).toArray();
+  
+  console.log(`📦 Found ${users.length} users with legacy username fields${dryRun ? ' (dry run)' : ''}`);
+  
+  let linked = 0;
+  for (const user of users) {
+    const set = {};
+    const unset = {};
+    
+    for (const [provider, field] of Object.entries(LEGACY_PROFILE_FIELDS)) {
+      // Usernames already in linkedAccounts win over legacy copies
+      if (user[field] && !user.linkedAccounts?.[provider]) {
+        set[`linkedAccounts.${provider}`] = user[field];
+      }
+      unset[field] = '';
+      // Codes issued under the old shape can't be checked anymore; users request a new one
+      unset[`accountVerification.${provider}.code`] = '';
+      unset[`accountVerification.${provider}.codeExpiresAt`] = '';
+    }
+    
+    if (Object.keys(set).length > 0) {
+      linked++;
+      console.log(`👤 ${user.auth0Id}: ${Object.entries(set).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+    }
+    if (!dryRun) {
+      await User.collection.updateOne({ _id: user._id }, { 
+        ...(Object.keys(set).length > 0 && { $set: set }), 
+        $unset: unset 
+      });
+    }
+  }
+  
+  console.log(`✅ Migration ${dryRun ? 'dry run ' : ''}complete: ${linked} users linked, ${users.length} cleaned up`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('🚨 Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
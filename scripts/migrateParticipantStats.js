@@ -0,0 +1,128 @@
+// Fold the per-room participant profiles and stats into the single copy stored on each User
+// Usage: node scripts/migrateParticipantStats.js [--dry-run]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import Room from '../models/Room.js';
+import User from '../models/User.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Room copies only ever held these providers; the User keeps them in linkedAccounts
+// (or, before scripts/migrateLinkedAccounts.js, in the legacy username fields)
+const PROFILE_FIELDS = {
+  leetcode: 'leetcodeUsername',
+  github: 'githubUsername'
+};
+
+const timeOf = (value) => value ? new Date(value).getTime() : 0;
+
+// Newest copy of each provider's stats (and first non-empty username) across every room
+const collectLegacyStats = (rooms) => {
+  const byUser = new Map();
+  
+  for (const room of rooms) {
+    for (const participant of room.participants || []) {
+      if (!participant.stats && !participant.profiles) continue;
+      
+      const entry = byUser.get(participant.auth0Id) || { profiles: {}, stats: {}, statsLastUpdated: null };
+      
+      for (const provider of Object.keys(PROFILE_FIELDS)) {
+        const username = participant.profiles?.[provider];
+        if (username && !entry.profiles[provider]) {
+          entry.profiles[provider] = username;
+        }
+        
+        const stats = participant.stats?.[provider];
+        const updatedAt = stats?.lastUpdated || participant.statsLastUpdated;
+        if (stats && timeOf(updatedAt) >= timeOf(entry.stats[provider]?.lastUpdated)) {
+          entry.stats[provider] = { ...stats, lastUpdated: updatedAt || null };
+        }
+      }
+      
+      if (timeOf(participant.statsLastUpdated) > timeOf(entry.statsLastUpdated)) {
+        entry.statsLastUpdated = participant.statsLastUpdated;
+      }
+      byUser.set(participant.auth0Id, entry);
+    }
+  }
+  return byUser;
+};
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not defined in environment variables');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  // Raw documents: the legacy fields are no longer in the Room schema
+  const rooms = await Room.collection.find(
+    { $or: [{ 'participants.stats': { $exists: true } }, { 'participants.profiles': { $exists: true } }] },
+    { projection: { 'participants.auth0Id': 1, 'participants.profiles': 1, 'participants.stats': 1, 'participants.statsLastUpdated': 1 } }
+  ).toArray();
+  
+  const legacy = collectLegacyStats(rooms);
+  console.log(`📦 Found legacy stats for ${legacy.size} users in ${rooms.length} rooms${dryRun ? ' (dry run)' : ''}`);
+  
+  let usersUpdated = 0;
+  let usersMissing = 0;
+  
+  for (const [auth0Id, entry] of legacy) {
+    const user = await User.findOne({ auth0Id }).lean();
+    if (!user) {
+      usersMissing++;
+      console.warn(`⚠️ No user for ${auth0Id}, skipping`);
+      continue;
+    }
+    
+    const updates = {};
+    for (const [provider, field] of Object.entries(PROFILE_FIELDS)) {
+      // Usernames already linked on the profile win over room copies
+      if (!user.linkedAccounts?.[provider] && !user[field] && entry.profiles[provider]) {
+        updates[`linkedAccounts.${provider}`] = entry.profiles[provider];
+      }
+      
+      // Keep whichever copy is newer
+      const stats = entry.stats[provider];
+      if (stats && timeOf(stats.lastUpdated) > timeOf(user.platformStats?.[provider]?.lastUpdated)) {
+        updates[`platformStats.${provider}`] = stats;
+      }
+    }
+    if (entry.statsLastUpdated && timeOf(entry.statsLastUpdated) > timeOf(user.statsLastUpdated)) {
+      updates.statsLastUpdated = entry.statsLastUpdated;
+    }
+    
+    if (Object.keys(updates).length === 0) continue;
+    
+    usersUpdated++;
+    console.log(`👤 ${auth0Id}: ${Object.keys(updates).join(', ')}`);
+    if (!dryRun) {
+      await User.updateOne({ auth0Id }, { $set: updates });
+    }
+  }
+  
+  if (!dryRun && rooms.length > 0) {
+    const result = await Room.collection.updateMany(
+      { _id: { $in: rooms.map(room => room._id) } },
+      { $unset: { 'participants.$[].profiles': '', 'participants.$[].stats': '', 'participants.$[].statsLastUpdated': '' } }
+    );
+    console.log(`🧹 Removed participant copies from ${result.modifiedCount} rooms`);
+  }
+  
+  console.log(`✅ Migration ${dryRun ? 'dry run ' : ''}complete: ${usersUpdated} users updated, ${usersMissing} missing`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('🚨 Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,65 @@
+// Seed the problem catalog from a JSON file
+// Usage: node scripts/seedProblems.js [path/to/problems.json]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import Problem from '../models/Problem.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const seedProblems = async () => {
+  const file = process.argv[2] || path.join(__dirname, '..', 'data', 'problems.json');
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain a JSON array of problems`);
+  }
+  
+  const problems = entries.map(entry => ({
+    title: entry.title,
+    slug: entry.slug?.toLowerCase(),
+    difficulty: entry.difficulty,
+    tags: entry.tags || [],
+    url: entry.url || `https://leetcode.com/problems/${entry.slug}/`,
+    isActive: entry.isActive !== false
+  }));
+  
+  // Validate everything up front; bulkWrite skips schema validation
+  for (const problem of problems) {
+    const error = new Problem(problem).validateSync();
+    if (error) {
+      throw new Error(`Invalid problem "${problem.slug || problem.title}": ${error.message}`);
+    }
+  }
+  
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not defined in environment variables');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🌱 Seeding ${problems.length} problems from ${file}`);
+  
+  // Upsert by slug so the script can be re-run after editing the file
+  const result = await Problem.bulkWrite(problems.map(problem => ({
+    updateOne: {
+      filter: { slug: problem.slug },
+      update: { $set: problem },
+      upsert: true
+    }
+  })));
+  
+  console.log(`✅ Problems seeded: ${result.upsertedCount} inserted, ${result.modifiedCount} updated`);
+};
+
+seedProblems()
+  .catch(error => {
+    console.error('🚨 Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,66 @@
+// Standalone stats refresh worker for rooms with leaderboard auto-update enabled.
+// Each run also rebuilds the global leaderboards from the refreshed stats.
+// Usage: node scripts/statsWorker.js [--once]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { statsRefreshService } from '../services/statsRefreshService.js';
+import { globalLeaderboardService } from '../services/globalLeaderboardService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+const runWorker = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not defined in environment variables');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔗 Stats worker connected to MongoDB');
+  
+  if (process.argv.includes('--once')) {
+    await statsRefreshService.runOnce();
+    await globalLeaderboardService.recompute();
+    return;
+  }
+  
+  const intervalMinutes = parseFloat(process.env.STATS_REFRESH_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  console.log(`⏱️ Refreshing stats every ${intervalMinutes} minutes`);
+  
+  // Run back-to-back with a pause in between so slow runs never overlap
+  let stopping = false;
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+  
+  while (!stopping) {
+    try {
+      await statsRefreshService.runOnce();
+    } catch (error) {
+      console.error('🚨 Stats refresh failed:', error);
+    }
+    
+    try {
+      await globalLeaderboardService.recompute();
+    } catch (error) {
+      console.error('🚨 Global leaderboard recompute failed:', error);
+    }
+    
+    const wakeAt = Date.now() + intervalMinutes * 60 * 1000;
+    while (!stopping && Date.now() < wakeAt) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+};
+
+runWorker()
+  .catch(error => {
+    console.error('🚨 Stats worker failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
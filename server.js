@@ -7,7 +7,15 @@ import { fileURLToPath } from 'url';
 import roomRoutes from './routes/rooms.js';
 import userRoutes from './routes/users.js';
 import githubRoutes from './routes/github.js';
+import messageRoutes from './routes/messages.js';
+import problemRoutes from './routes/problems.js';
+import submissionRoutes from './routes/submissions.js';
+import cronRoutes from './routes/cron.js';
+import providerRoutes from './routes/providers.js';
+import leaderboardRoutes from './routes/leaderboards.js';
 import process from 'process';
+import { sessionService } from './services/sessionService.js';
+import { githubClient } from './services/githubClient.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -19,10 +27,14 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 // Debug environment variables
 console.log('🔧 Environment check:');
 console.log('- MONGODB_URI:', process.env.MONGODB_URI ? 'Set' : 'Not set');
+console.log('- AUTH0_DOMAIN:', process.env.AUTH0_DOMAIN ? 'Set' : (process.env.AUTH0_JWKS_FILE ? 'Using local JWKS file' : 'Not set'));
 console.log('- PORT:', process.env.PORT || 'Using default 5000');
 
 const app = express();
 
+// Behind Vercel's proxy; take req.ip (recorded in the audit log) from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -75,8 +87,14 @@ app.use(ensureDBConnection);
 
 // Routes
 app.use('/api/users', userRoutes);
+app.use('/api/rooms/:roomId/messages', messageRoutes);
+app.use('/api/rooms/:roomId/submissions', submissionRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/github', githubRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/leaderboards', leaderboardRoutes);
+app.use('/api/problems', problemRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -87,7 +105,12 @@ app.get('/', (req, res) => {
     endpoints: {
       rooms: '/api/rooms',
       users: '/api/users',
-      github: '/api/github/:username/stats'
+      messages: '/api/rooms/:roomId/messages',
+      submissions: '/api/rooms/:roomId/submissions',
+      problems: '/api/problems',
+      github: '/api/github/:username/stats',
+      providers: '/api/providers/:provider/:username/stats',
+      leaderboards: '/api/leaderboards/:scope (global, friends, organization)'
     }
   });
 });
@@ -98,7 +121,8 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    github: githubClient.getQuota()
   });
 });
 
@@ -156,5 +180,10 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`🚀 Server is running on port ${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 API Base URL: http://localhost:${PORT}`);
+
+    // Long-running servers complete timed sessions on schedule; serverless relies on lazy checks
+    connectDB()
+      .then(() => sessionService.startScheduler())
+      .catch(error => console.error('🚨 Failed to start session scheduler:', error.message));
   });
 }
\ No newline at end of file
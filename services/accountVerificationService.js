@@ -0,0 +1,102 @@
+// Linked account ownership checks: the user publishes a one-time code on the account
+// (e.g. GitHub bio or gist, LeetCode profile summary) and the provider plugin looks for it
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { PROVIDERS } from './providerRegistry.js';
+
+const CODE_TTL_MINUTES = 30;
+const CODE_PREFIX = 'codetracker-verify-';
+
+// Username fields from before linkedAccounts; read for documents not yet migrated
+const LEGACY_PROFILE_FIELDS = {
+  leetcode: 'leetcodeUsername',
+  github: 'githubUsername'
+};
+
+// Providers whose plugin can look for a published code
+export const VERIFICATION_PROVIDERS = Object.values(PROVIDERS)
+  .filter(provider => provider.findVerificationCode)
+  .map(provider => provider.id);
+
+// Linked username for a provider on a document or plain user object
+const linkedUsername = (user, provider) => {
+  const linked = user?.linkedAccounts instanceof Map ? user.linkedAccounts.get(provider) : user?.linkedAccounts?.[provider];
+  return linked || user?.[LEGACY_PROFILE_FIELDS[provider]] || '';
+};
+
+const verificationEntry = (user, provider) => user?.accountVerification instanceof Map
+  ? user.accountVerification.get(provider)
+  : user?.accountVerification?.[provider];
+
+// VERIFICATION_INVALID: the request can't be satisfied as made.
+// VERIFICATION_CHECK_FAILED: the provider could not be reached or the account not read.
+const verificationError = (message, code = 'VERIFICATION_INVALID') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+export const accountVerificationService = {
+  // Whether each linked account is verified for its current username
+  getStatus: (user) => Object.fromEntries(VERIFICATION_PROVIDERS.map(provider => {
+    const username = linkedUsername(user, provider);
+    const entry = verificationEntry(user, provider);
+    return [provider, Boolean(username && entry?.verified && entry.username === username)];
+  })),
+
+  // Issue a fresh one-time code for the currently linked username
+  issueCode: async (user, provider) => {
+    const username = linkedUsername(user, provider);
+    if (!username) {
+      throw verificationError(`Link a ${provider} username before verifying it`);
+    }
+    
+    const code = `${CODE_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+    const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+    
+    await User.updateOne({ _id: user._id }, {
+      $set: { [`pendingVerifications.${provider}`]: { code, username, expiresAt } },
+      $unset: { [`accountVerification.${provider}`]: '' }
+    });
+    
+    return { provider, username, code, expiresAt, instructions: PROVIDERS[provider].verificationInstructions };
+  },
+
+  // Look for the issued code on the account and mark the link verified when found.
+  // The code is single use: it is cleared once verification succeeds.
+  checkCode: async (user, provider) => {
+    const username = linkedUsername(user, provider);
+    const withCode = await User.findById(user._id).select('+pendingVerifications').lean();
+    const pending = withCode?.pendingVerifications?.[provider];
+    
+    if (!username) {
+      throw verificationError(`No ${provider} username is linked`);
+    }
+    if (!pending?.code || pending.username !== username) {
+      throw verificationError('No verification code has been issued for this username');
+    }
+    if (pending.expiresAt < new Date()) {
+      throw verificationError('The verification code has expired; request a new one');
+    }
+    
+    let method;
+    try {
+      method = await PROVIDERS[provider].findVerificationCode(username, pending.code);
+    } catch (error) {
+      throw verificationError(`Could not check ${provider} account: ${error.message}`, 'VERIFICATION_CHECK_FAILED');
+    }
+    
+    if (!method) {
+      return { verified: false, provider, username, instructions: PROVIDERS[provider].verificationInstructions };
+    }
+    
+    const verifiedAt = new Date();
+    await User.updateOne({ _id: user._id }, {
+      $set: { [`accountVerification.${provider}`]: { verified: true, username, verifiedAt, method } },
+      $unset: { [`pendingVerifications.${provider}`]: '' }
+    });
+    
+    console.log(`✅ Verified ${provider} account ${username} for ${user.auth0Id} via ${method}`);
+    return { verified: true, provider, username, method, verifiedAt };
+  }
+};
@@ -0,0 +1,79 @@
+// AtCoder Integration Service. AtCoder has no official API: ratings come from the public
+// contest history JSON and solved counts from the AtCoder Problems API.
+import process from 'process';
+import { statsCache } from './statsCache.js';
+import { statsHistoryService } from './statsHistoryService.js';
+
+// Overridable so tests can point at local mocks
+const getAtCoderBase = () => process.env.ATCODER_URL || 'https://atcoder.jp';
+const getAtCoderProblemsApiBase = () => process.env.ATCODER_PROBLEMS_API_URL || 'https://kenkoooo.com/atcoder/atcoder-api/v3';
+
+// Rated contest history, oldest first; throws when the user does not exist
+const fetchContestHistory = async (username) => {
+  const response = await fetch(`${getAtCoderBase()}/users/${encodeURIComponent(username)}/history/json`);
+  if (response.status === 404) {
+    throw new Error('User not found');
+  }
+  if (!response.ok) {
+    throw new Error(`AtCoder responded with status: ${response.status}`);
+  }
+  return (await response.json()).filter(contest => contest.IsRated);
+};
+
+const fetchUserStats = async (username) => {
+  try {
+    const history = await fetchContestHistory(username);
+    
+    // AtCoder Problems answers 404 for users without accepted submissions
+    const acResponse = await fetch(`${getAtCoderProblemsApiBase()}/user/ac_rank?user=${encodeURIComponent(username)}`);
+    if (!acResponse.ok && acResponse.status !== 404) {
+      throw new Error(`AtCoder Problems API responded with status: ${acResponse.status}`);
+    }
+    const acRank = acResponse.ok ? await acResponse.json() : { count: 0 };
+    
+    const ratings = history.map(contest => contest.NewRating);
+    const stats = {
+      rating: ratings.length > 0 ? ratings[ratings.length - 1] : 0,
+      maxRating: ratings.length > 0 ? Math.max(...ratings) : 0,
+      ratedContests: ratings.length,
+      solved: acRank.count || 0
+    };
+    
+    console.log(`✅ AtCoder success for ${username}: rating ${stats.rating}, ${stats.solved} solved`);
+    return stats;
+  } catch (error) {
+    console.error(`AtCoder lookup failed for ${username}:`, error.message);
+    return { error: true, message: error.message };
+  }
+};
+
+// Every real fetch is also recorded in the stats history
+const fetchAndRecordUserStats = async (username) => {
+  const stats = await fetchUserStats(username);
+  if (!stats.error) {
+    await statsHistoryService.recordSnapshot('atcoder', username, stats);
+  }
+  return stats;
+};
+
+export const atcoderAPI = {
+  // AtCoder statistics through the shared stats cache; failed lookups are never cached
+  getUserStats: async (username, { forceRefresh = false, waitForRefresh = false } = {}) => {
+    const { data, cache } = await statsCache.getOrFetch('atcoder', username, () => fetchAndRecordUserStats(username), {
+      isCacheable: (result) => !result.error,
+      forceRefresh,
+      waitForRefresh
+    });
+    return { ...data, cache };
+  },
+
+  // Validate if a user exists
+  validateUsername: async (username) => {
+    try {
+      await fetchContestHistory(username);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
@@ -0,0 +1,80 @@
+import AuditLog from '../models/AuditLog.js';
+
+const USER_AGENT_MAX_LENGTH = 300;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// JSON-safe copy: documents, maps, ids and dates become plain values
+const toPlain = (value) => value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// Nested objects become dotted paths (empty ones have none); arrays are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+export const auditService = {
+  // Plain copy of the given paths of a document, for a before/after pair
+  snapshot: (doc, paths) => Object.fromEntries(paths.map(path => [path, toPlain(doc?.get ? doc.get(path) : doc?.[path])])),
+
+  // Leaf paths whose values differ between two snapshots
+  diff: (before = {}, after = {}) => {
+    const previous = flatten(toPlain(before) || {});
+    const next = flatten(toPlain(after) || {});
+    const paths = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+    
+    return paths
+      .filter(path => JSON.stringify(previous[path] ?? null) !== JSON.stringify(next[path] ?? null))
+      .map(path => ({ path, before: previous[path] ?? null, after: next[path] ?? null }));
+  },
+
+  // Append an entry for a mutation the request made. Called after the change is saved, so a
+  // failed write is logged rather than failing a request that already took effect.
+  record: async (req, { action, room = null, subject = null, before = {}, after = {}, metadata = null }) => {
+    try {
+      return await AuditLog.create({
+        actor: req.auth?.auth0Id || null,
+        action,
+        room: room?._id || room,
+        subject,
+        changes: auditService.diff(before, after),
+        metadata: toPlain(metadata),
+        ip: req.ip || '',
+        userAgent: (req.get('user-agent') || '').slice(0, USER_AGENT_MAX_LENGTH)
+      });
+    } catch (error) {
+      console.error(`🚨 Failed to write audit entry for ${action}:`, error.message);
+      return null;
+    }
+  },
+
+  // A room's entries, newest first (filters: action, actor, subject, from, to, before)
+  getRoomLog: async (roomId, { actions = [], actor, subject, from, to, before, limit = 50 } = {}) => {
+    const filter = { room: roomId };
+    if (actions.length > 0) filter.action = { $in: actions };
+    if (actor) filter.actor = actor;
+    if (subject) filter.subject = subject;
+    if (from || to || before) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+      if (before) filter.createdAt.$lt = before;
+    }
+    
+    // One extra entry tells whether an older page exists
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1)
+      .lean();
+    
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+    return { entries: page, hasMore, nextBefore: hasMore ? page[page.length - 1].createdAt : null };
+  }
+};
@@ -0,0 +1,82 @@
+// Codeforces API Integration Service
+import process from 'process';
+import { statsCache } from './statsCache.js';
+import { statsHistoryService } from './statsHistoryService.js';
+
+// Overridable so tests can point at a local mock
+const getCodeforcesApiBase = () => process.env.CODEFORCES_API_URL || 'https://codeforces.com/api';
+
+// Call a Codeforces API method; the API reports errors as { status: 'FAILED', comment }
+const callMethod = async (method, params) => {
+  const query = new URLSearchParams(params).toString();
+  const response = await fetch(`${getCodeforcesApiBase()}/${method}?${query}`);
+  const data = await response.json().catch(() => null);
+  
+  if (!data || data.status !== 'OK') {
+    throw new Error(data?.comment || `Codeforces API responded with status: ${response.status}`);
+  }
+  return data.result;
+};
+
+// Rating from user.info and distinct accepted problems from user.status
+const fetchUserStats = async (username) => {
+  try {
+    const [info] = await callMethod('user.info', { handles: username });
+    const submissions = await callMethod('user.status', { handle: username });
+    
+    const solved = new Set(
+      submissions
+        .filter(submission => submission.verdict === 'OK')
+        .map(submission => `${submission.problem.contestId ?? submission.problem.problemsetName}-${submission.problem.index}`)
+    );
+    
+    console.log(`✅ Codeforces success for ${username}: rating ${info.rating || 0}, ${solved.size} solved`);
+    
+    return {
+      rating: info.rating || 0, // Unrated users have no rating field
+      maxRating: info.maxRating || 0,
+      rank: info.rank || 'unrated',
+      solved: solved.size
+    };
+  } catch (error) {
+    console.error(`Codeforces API failed for ${username}:`, error.message);
+    return { error: true, message: error.message };
+  }
+};
+
+// Every real fetch is also recorded in the stats history
+const fetchAndRecordUserStats = async (username) => {
+  const stats = await fetchUserStats(username);
+  if (!stats.error) {
+    await statsHistoryService.recordSnapshot('codeforces', username, stats);
+  }
+  return stats;
+};
+
+export const codeforcesAPI = {
+  // Codeforces statistics through the shared stats cache; failed lookups are never cached
+  getUserStats: async (username, { forceRefresh = false, waitForRefresh = false } = {}) => {
+    const { data, cache } = await statsCache.getOrFetch('codeforces', username, () => fetchAndRecordUserStats(username), {
+      isCacheable: (result) => !result.error,
+      forceRefresh,
+      waitForRefresh
+    });
+    return { ...data, cache };
+  },
+
+  // Validate if a handle exists
+  validateUsername: async (username) => {
+    try {
+      await callMethod('user.info', { handles: username });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Editable profile text (first name, last name, organization), read fresh
+  getProfileText: async (username) => {
+    const [info] = await callMethod('user.info', { handles: username });
+    return [info.firstName, info.lastName, info.organization].filter(Boolean).join(' ');
+  }
+};
@@ -0,0 +1,207 @@
+// GitHub HTTP client - auth, rate-limit tracking, backoff and request queueing
+import process from 'process';
+
+const DEFAULT_API_BASE = 'https://api.github.com';
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const DEFAULT_MAX_QUEUE_WAIT_MS = 60 * 1000;
+// Longest retry backoff a request that doesn't queue will sleep through (covers 5xx retries)
+const INTERACTIVE_MAX_RETRY_WAIT_MS = 5 * 1000;
+
+// Latest X-RateLimit-* values per resource ('core', 'search', 'graphql', ...)
+const quotas = {};
+let queuedRequests = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read per call because dotenv runs after module imports
+const getApiBase = () => (process.env.GITHUB_API_URL || DEFAULT_API_BASE).replace(/\/$/, '');
+
+// GraphQL v4 endpoint; overridable so it can be exercised against a local mock server
+const getGraphQLUrl = () => process.env.GITHUB_GRAPHQL_URL || `${getApiBase()}/graphql`;
+
+const getMaxQueueWaitMs = () => {
+  const configured = parseInt(process.env.GITHUB_MAX_QUEUE_WAIT_MS);
+  return Number.isFinite(configured) ? configured : DEFAULT_MAX_QUEUE_WAIT_MS;
+};
+
+// Which rate-limit bucket a request draws from, before GitHub tells us in the response
+const guessResource = (url) => {
+  if (url.includes('/search/')) return 'search';
+  if (url.endsWith('/graphql')) return 'graphql';
+  return 'core';
+};
+
+const rateLimitError = (resource, resetAt) => {
+  const error = new Error(`GitHub ${resource} rate limit exhausted until ${resetAt.toISOString()}`);
+  error.code = 'GITHUB_RATE_LIMITED';
+  error.resetAt = resetAt;
+  return error;
+};
+
+const updateQuota = (response, fallbackResource) => {
+  const limit = response.headers.get('x-ratelimit-limit');
+  if (limit === null) return;
+  
+  const resource = response.headers.get('x-ratelimit-resource') || fallbackResource;
+  quotas[resource] = {
+    limit: parseInt(limit),
+    remaining: parseInt(response.headers.get('x-ratelimit-remaining')),
+    used: parseInt(response.headers.get('x-ratelimit-used')) || 0,
+    resetAt: new Date(parseInt(response.headers.get('x-ratelimit-reset')) * 1000),
+    updatedAt: new Date()
+  };
+};
+
+// Wait for the bucket to reset when it is exhausted and the caller queues, else fail fast
+const checkQuota = async (resource, queue) => {
+  const quota = quotas[resource];
+  if (!quota || quota.remaining > 0) return;
+  
+  const waitMs = quota.resetAt.getTime() - Date.now();
+  if (waitMs <= 0) return;
+  
+  if (!queue || waitMs > getMaxQueueWaitMs()) {
+    throw rateLimitError(resource, quota.resetAt);
+  }
+  
+  console.warn(`⏳ GitHub ${resource} quota exhausted, queueing request for ${Math.ceil(waitMs / 1000)}s`);
+  queuedRequests++;
+  try {
+    await sleep(waitMs + 250);
+  } finally {
+    queuedRequests--;
+  }
+};
+
+// Retry-After is either delay-seconds or an HTTP date; null when it's neither
+const parseRetryAfterMs = (value) => {
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// How long to wait before retrying a failed response, or null if it shouldn't be retried
+const getRetryDelayMs = (response, attempt) => {
+  const backoff = BASE_BACKOFF_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+  
+  if (response.status === 403 || response.status === 429) {
+    // Secondary rate limits send Retry-After
+    const retryAfter = response.headers.get('retry-after');
+    const retryAfterMs = retryAfter !== null ? parseRetryAfterMs(retryAfter) : null;
+    if (retryAfterMs !== null) {
+      return retryAfterMs;
+    }
+    
+    // Primary rate limit: wait for the reset
+    if (response.headers.get('x-ratelimit-remaining') === '0') {
+      const reset = parseInt(response.headers.get('x-ratelimit-reset')) * 1000;
+      return Math.max(0, reset - Date.now()) + 250;
+    }
+    
+    // 429 without headers is still a rate limit; other 403s are real permission errors
+    return response.status === 429 ? backoff : null;
+  }
+  
+  if (response.status >= 500) {
+    return backoff;
+  }
+  return null;
+};
+
+export const githubClient = {
+  // Send a request to the GitHub API. `path` is relative to the API base or an absolute URL.
+  // Resolves with the final Response (check response.ok); throws when rate limited.
+  // Only background callers (the stats worker and cron) pass waitForQuota to queue behind an
+  // exhausted rate limit; request handlers fail fast and serve cached stats instead.
+  request: async (path, { method = 'GET', accept = 'application/vnd.github+json', body, token = process.env.GITHUB_TOKEN, waitForQuota = false } = {}) => {
+    const url = path.startsWith('http') ? path : `${getApiBase()}${path}`;
+    const resource = guessResource(url);
+    
+    const headers = {
+      'Accept': accept,
+      'User-Agent': 'CodeTracker-Backend',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      await checkQuota(resource, waitForQuota);
+      
+      const response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      updateQuota(response, resource);
+      
+      if (response.ok || attempt >= MAX_RETRIES) {
+        return response;
+      }
+      
+      const delayMs = getRetryDelayMs(response, attempt);
+      if (delayMs === null) {
+        return response;
+      }
+      
+      if (delayMs > (waitForQuota ? getMaxQueueWaitMs() : INTERACTIVE_MAX_RETRY_WAIT_MS)) {
+        const resetAt = new Date(Date.now() + delayMs);
+        throw rateLimitError(resource, resetAt);
+      }
+      
+      console.warn(`🔁 GitHub ${response.status} for ${url}, retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delayMs);
+    }
+  },
+
+  // Run a GraphQL v4 query and return its data; GraphQL always needs a token
+  graphql: async (query, variables = {}, { waitForQuota = false } = {}) => {
+    if (!process.env.GITHUB_TOKEN) {
+      throw new Error('GitHub GraphQL requires GITHUB_TOKEN');
+    }
+    
+    const response = await githubClient.request(getGraphQLUrl(), {
+      method: 'POST',
+      body: { query, variables },
+      waitForQuota
+    });
+    
+    if (!response.ok) {
+      throw new Error(`GraphQL API failed: ${response.status}`);
+    }
+    
+    const result = await response.json();
+    if (result.errors?.length) {
+      throw new Error(`GraphQL error: ${result.errors.map(error => error.message).join('; ')}`);
+    }
+    return result.data;
+  },
+
+  // Current quota per resource, for /health
+  getQuota: () => ({
+    authenticated: !!process.env.GITHUB_TOKEN,
+    queuedRequests,
+    resources: Object.fromEntries(
+      Object.entries(quotas).map(([resource, quota]) => [resource, {
+        ...quota,
+        exhausted: quota.remaining === 0 && quota.resetAt > new Date()
+      }])
+    )
+  }),
+
+  // Remaining requests in a bucket, or null if GitHub hasn't reported it yet
+  getRemaining: (resource = 'core') => quotas[resource]?.remaining ?? null,
+
+  // Whether every listed bucket has more than `reserve` requests left (unknown or reset buckets count as available)
+  hasQuota: (resources = ['core'], reserve = 0) => resources.every(resource => {
+    const quota = quotas[resource];
+    return !quota || quota.resetAt <= new Date() || quota.remaining > reserve;
+  })
+};
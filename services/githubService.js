@@ -1,96 +1,223 @@
 // GitHub API Integration Service
 import process from 'process';
+import { statsCache } from './statsCache.js';
+import { githubClient } from './githubClient.js';
+import { statsHistoryService } from './statsHistoryService.js';
 
-const GITHUB_API_BASE = 'https://api.github.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-export const githubAPI = {
-  // Fetch contribution stats using public GitHub API (works for any user)
-  getContributionStatsGraphQL: async (username) => {
-    console.log(`🔍 Public API: Starting for ${username}`);
-    
-    try {
-      // Use GitHub Search API to get total commit count for any user
-      const searchUrl = `https://api.github.com/search/commits?q=author:${username}`;
-      const searchHeaders = {
-        'Accept': 'application/vnd.github.cloak-preview+json',
-        'User-Agent': 'Mozilla/5.0'
-      };
-      
-      // Add token if available for higher rate limits
-      const token = process.env.GITHUB_TOKEN;
-      if (token) {
-        searchHeaders.Authorization = `Bearer ${token}`;
+const CONTRIBUTIONS_QUERY = `
+  query contributions($login: String!, $weekFrom: DateTime!, $monthFrom: DateTime!) {
+    user(login: $login) {
+      repositories(privacy: PUBLIC, ownerAffiliations: OWNER) {
+        totalCount
       }
-      
-      const searchRes = await fetch(searchUrl, { headers: searchHeaders });
-      
-      if (!searchRes.ok) {
-        throw new Error(`Search API failed: ${searchRes.status}`);
+      contributionsCollection {
+        contributionYears
+        totalCommitContributions
+        totalPullRequestContributions
+        totalIssueContributions
+        totalPullRequestReviewContributions
+        restrictedContributionsCount
+        contributionCalendar {
+          totalContributions
+          weeks {
+            contributionDays {
+              date
+              contributionCount
+            }
+          }
+        }
       }
-      
-      const searchData = await searchRes.json();
-      const totalCommits = searchData.total_count || 0;
-      
-      // Get user profile for repository count
-      const profileRes = await fetch(`https://api.github.com/users/${username}`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : {}
-      });
-      
-      if (!profileRes.ok) {
-        throw new Error(`Profile API failed: ${profileRes.status}`);
+      week: contributionsCollection(from: $weekFrom) {
+        totalCommitContributions
       }
+      month: contributionsCollection(from: $monthFrom) {
+        totalCommitContributions
+      }
+    }
+  }
+`;
+
+// contributionsCollection spans at most a year, so lifetime commits need one alias per year
+const buildYearlyCommitsQuery = (years) => `
+  query yearlyCommits($login: String!) {
+    user(login: $login) {
+      ${years.map(year => `
+      y${year}: contributionsCollection(from: "${year}-01-01T00:00:00Z", to: "${year}-12-31T23:59:59Z") {
+        totalCommitContributions
+        restrictedContributionsCount
+      }`).join('')}
+    }
+  }
+`;
+
+// Fetch contribution stats from GraphQL v4 contributionsCollection (needs GITHUB_TOKEN)
+const fetchGraphQLContributionStats = async (username, { waitForQuota = false } = {}) => {
+  const now = Date.now();
+  const data = await githubClient.graphql(CONTRIBUTIONS_QUERY, {
+    login: username,
+    weekFrom: new Date(now - 7 * DAY_MS).toISOString(),
+    monthFrom: new Date(now - 30 * DAY_MS).toISOString()
+  }, { waitForQuota });
+  
+  if (!data?.user) {
+    throw new Error(`GitHub user "${username}" not found`);
+  }
+  
+  const collection = data.user.contributionsCollection;
+  const years = collection.contributionYears || [];
+  
+  let totalCommits = collection.totalCommitContributions;
+  let totalRestricted = collection.restrictedContributionsCount;
+  if (years.length > 0) {
+    const yearly = await githubClient.graphql(buildYearlyCommitsQuery(years), { login: username }, { waitForQuota });
+    const perYear = years.map(year => yearly.user[`y${year}`]);
+    totalCommits = perYear.reduce((sum, year) => sum + (year?.totalCommitContributions || 0), 0);
+    totalRestricted = perYear.reduce((sum, year) => sum + (year?.restrictedContributionsCount || 0), 0);
+  }
+  
+  console.log(`✅ GraphQL success for ${username}: ${totalCommits} total, ${data.user.week.totalCommitContributions} week, ${data.user.month.totalCommitContributions} month`);
+  
+  return {
+    supported: true,
+    total: totalCommits,
+    thisWeek: data.user.week.totalCommitContributions,
+    thisMonth: data.user.month.totalCommitContributions,
+    publicRepos: data.user.repositories.totalCount,
+    method: 'graphql',
+    // Breakdown for the last year (the default contributionsCollection window)
+    contributions: {
+      commits: collection.totalCommitContributions,
+      pullRequests: collection.totalPullRequestContributions,
+      issues: collection.totalIssueContributions,
+      reviews: collection.totalPullRequestReviewContributions,
+      restricted: collection.restrictedContributionsCount,
+      restrictedAllTime: totalRestricted,
+      calendar: {
+        totalContributions: collection.contributionCalendar.totalContributions,
+        days: collection.contributionCalendar.weeks.flatMap(week => 
+          week.contributionDays.map(day => ({ date: day.date, count: day.contributionCount }))
+        )
+      }
+    }
+  };
+};
+
+// Fetch contribution stats using public GitHub REST API (works for any user, no token needed)
+const fetchRestContributionStats = async (username, { waitForQuota = false } = {}) => {
+  console.log(`🔍 Public API: Starting for ${username}`);
+  
+  try {
+    // Use GitHub Search API to get total commit count for any user
+    const searchRes = await githubClient.request(`/search/commits?q=author:${username}`, {
+      accept: 'application/vnd.github.cloak-preview+json',
+      waitForQuota
+    });
+    
+    if (!searchRes.ok) {
+      throw new Error(`Search API failed: ${searchRes.status}`);
+    }
+    
+    const searchData = await searchRes.json();
+    const totalCommits = searchData.total_count || 0;
+    
+    // Get user profile for repository count
+    const profileRes = await githubClient.request(`/users/${username}`, { waitForQuota });
+    
+    if (!profileRes.ok) {
+      throw new Error(`Profile API failed: ${profileRes.status}`);
+    }
+    
+    const profile = await profileRes.json();
+    
+    // Get recent commits from events API for weekly/monthly stats
+    const eventsRes = await githubClient.request(`/users/${username}/events/public?per_page=100`, { waitForQuota });
+    
+    let weekCommits = 0;
+    let monthCommits = 0;
+    
+    if (eventsRes.ok) {
+      const events = await eventsRes.json();
+      const now = new Date();
+      const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
       
-      const profile = await profileRes.json();
-      
-      // Get recent commits from events API for weekly/monthly stats
-      const eventsRes = await fetch(`https://api.github.com/users/${username}/events/public?per_page=100`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : {}
-      });
-      
-      let weekCommits = 0;
-      let monthCommits = 0;
+      const pushEvents = events.filter(event => event.type === 'PushEvent');
       
-      if (eventsRes.ok) {
-        const events = await eventsRes.json();
-        const now = new Date();
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        
-        const pushEvents = events.filter(event => event.type === 'PushEvent');
+      for (const event of pushEvents) {
+        const eventDate = new Date(event.created_at);
+        const commitCount = event.payload?.commits?.length || 1;
         
-        for (const event of pushEvents) {
-          const eventDate = new Date(event.created_at);
-          const commitCount = event.payload?.commits?.length || 1;
-          
-          if (eventDate >= weekAgo) {
-            weekCommits += commitCount;
-          }
-          if (eventDate >= monthAgo) {
-            monthCommits += commitCount;
-          }
+        if (eventDate >= weekAgo) {
+          weekCommits += commitCount;
+        }
+        if (eventDate >= monthAgo) {
+          monthCommits += commitCount;
         }
       }
-      
-      console.log(`✅ Public API success for ${username}: ${totalCommits} total, ${weekCommits} week, ${monthCommits} month`);
-      
-      return {
-        supported: true,
-        total: totalCommits,
-        thisWeek: weekCommits,
-        thisMonth: monthCommits,
-        publicRepos: profile.public_repos || 0,
-        method: 'accurate'
-      };
-      
+    }
+    
+    console.log(`✅ Public API success for ${username}: ${totalCommits} total, ${weekCommits} week, ${monthCommits} month`);
+    
+    return {
+      supported: true,
+      total: totalCommits,
+      thisWeek: weekCommits,
+      thisMonth: monthCommits,
+      publicRepos: profile.public_repos || 0,
+      method: 'rest' // Search and events APIs only see public activity, so counts are estimates
+    };
+    
+  } catch (e) {
+    console.log(`❌ Public API failed for ${username}: ${e.message}`);
+    return { supported: false, reason: e.message };
+  }
+};
+
+// GraphQL v4 when a token is configured, REST search/events otherwise or when GraphQL fails
+const fetchContributionStats = async (username, options) => {
+  if (process.env.GITHUB_TOKEN) {
+    try {
+      return await fetchGraphQLContributionStats(username, options);
     } catch (e) {
-      console.log(`❌ Public API failed for ${username}: ${e.message}`);
-      return { supported: false, reason: e.message };
+      console.log(`❌ GraphQL failed for ${username}, falling back to REST: ${e.message}`);
+      const rest = await fetchRestContributionStats(username, options);
+      return rest.supported ? { ...rest, graphqlFallbackReason: e.message } : rest;
     }
+  }
+  return fetchRestContributionStats(username, options);
+};
+
+// Every real fetch is also recorded in the stats history
+const fetchAndRecordContributionStats = async (username, options) => {
+  const stats = await fetchContributionStats(username, options);
+  if (stats.supported) {
+    await statsHistoryService.recordSnapshot('github', username, {
+      totalCommits: stats.total,
+      weeklyCommits: stats.thisWeek,
+      monthlyCommits: stats.thisMonth
+    });
+  }
+  return stats;
+};
+
+export const githubAPI = {
+  // Contribution stats through the shared stats cache; failed lookups are never cached.
+  // Background jobs pass waitForQuota to queue behind an exhausted rate limit instead of failing.
+  getContributionStatsGraphQL: async (username, { forceRefresh = false, waitForRefresh = false, waitForQuota = false } = {}) => {
+    const { data, cache } = await statsCache.getOrFetch('github', username, () => fetchAndRecordContributionStats(username, { waitForQuota }), {
+      isCacheable: (result) => result.supported,
+      forceRefresh,
+      waitForRefresh
+    });
+    return { ...data, cache };
   },
+
   // Get user's public profile information
   getUserProfile: async (username) => {
     try {
-      const response = await fetch(`${GITHUB_API_BASE}/users/${username}`);
+      const response = await githubClient.request(`/users/${username}`);
       if (!response.ok) {
         throw new Error(`GitHub API error: ${response.status}`);
       }
@@ -101,168 +228,38 @@ export const githubAPI = {
     }
   },
 
-  // Get user's commit activity using a more accurate approach
-  getUserCommitStats: async (username) => {
-    try {
-      // Get user profile first
-      const profile = await githubAPI.getUserProfile(username);
-      
-      // Get user's repositories count (we'll use the profile data instead of fetching full repo list)
-      // const reposResponse = await fetch(`${GITHUB_API_BASE}/users/${username}/repos?per_page=100&sort=updated`);
-      // We'll rely on profile.public_repos count to avoid unnecessary API calls
-
-      // Get recent activity from events API (more efficient than counting all commits)
-      const eventsResponse = await fetch(`${GITHUB_API_BASE}/users/${username}/events/public?per_page=100`);
-      let recentCommits = 0;
-      let weekCommits = 0;
-      let monthCommits = 0;
-
-      if (eventsResponse.ok) {
-        const events = await eventsResponse.json();
-        const oneWeekAgo = new Date();
-        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-        
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-
-        // Count push events (commits) from recent activity
-        const pushEvents = events.filter(event => event.type === 'PushEvent');
-        
-        pushEvents.forEach(event => {
-          const eventDate = new Date(event.created_at);
-          const commitCount = event.payload?.commits?.length || 1;
-          
-          recentCommits += commitCount;
-          
-          if (eventDate >= oneWeekAgo) {
-            weekCommits += commitCount;
-          }
-          if (eventDate >= oneMonthAgo) {
-            monthCommits += commitCount;
-          }
-        });
-      }
-
-      // Calculate estimated total commits based on multiple factors
-      const accountAge = profile.created_at ? 
-        Math.max(1, (new Date() - new Date(profile.created_at)) / (1000 * 60 * 60 * 24 * 365)) : 1;
-      
-      // More sophisticated estimation based on:
-      // - Number of repositories
-      // - Account age
-      // - Recent activity level
-      // - Repository activity (starred, forked repos indicate activity)
-      const baseEstimate = profile.public_repos * 8; // Average commits per repo
-      const activityMultiplier = recentCommits > 0 ? Math.min(3, recentCommits / 10) : 0.5;
-      const ageMultiplier = Math.min(2, accountAge / 2); // More active older accounts
-      
-      const estimatedTotal = Math.max(
-        recentCommits * 10, // At least 10x recent activity
-        Math.floor(baseEstimate * activityMultiplier * ageMultiplier)
-      );
-
-      return {
-        total: estimatedTotal,
-        thisWeek: weekCommits,
-        thisMonth: monthCommits,
-        publicRepos: profile.public_repos,
-        // Additional useful stats
-        accountAge: Math.floor(accountAge * 12), // Age in months
-        recentActivity: recentCommits
-      };
-    } catch (error) {
-      console.error('Error fetching GitHub commit stats:', error);
-      return {
-        total: 0,
-        thisWeek: 0,
-        thisMonth: 0,
-        publicRepos: 0,
-        accountAge: 0,
-        recentActivity: 0
-      };
+  // Descriptions and file contents of a user's most recently updated public gists
+  getRecentGists: async (username, limit = 3) => {
+    const listResponse = await githubClient.request(`/users/${username}/gists?per_page=${limit}`);
+    if (!listResponse.ok) {
+      throw new Error(`GitHub API error: ${listResponse.status}`);
     }
-  },
-
-  // Alternative method using GitHub Search API for more accurate commit counting
-  getUserCommitStatsAccurate: async (username) => {
-    try {
-      const profile = await githubAPI.getUserProfile(username);
+    
+    const gists = await listResponse.json();
+    const detailed = [];
+    for (const gist of gists.slice(0, limit)) {
+      // The list omits file contents; the single-gist endpoint includes them (truncated past 1 MB)
+      const response = await githubClient.request(`/gists/${gist.id}`);
+      if (!response.ok) continue;
       
-      // Use GitHub Search API to count commits by author
-      // This is more accurate but has stricter rate limits
-      const searchResponse = await fetch(
-        `${GITHUB_API_BASE}/search/commits?q=author:${username}&per_page=1`,
-        {
-          headers: {
-            'Accept': 'application/vnd.github.cloak-preview'
-          }
-        }
-      );
-
-      let totalCommits = 0;
-      if (searchResponse.ok) {
-        const searchData = await searchResponse.json();
-        totalCommits = searchData.total_count || 0;
-      }
-
-      // If search API fails, fall back to estimation method
-      if (totalCommits === 0) {
-        const fallbackStats = await githubAPI.getUserCommitStats(username);
-        return fallbackStats;
-      }
-
-      // Get recent activity for weekly/monthly stats
-      const eventsResponse = await fetch(`${GITHUB_API_BASE}/users/${username}/events/public?per_page=100`);
-      let weekCommits = 0;
-      let monthCommits = 0;
-
-      if (eventsResponse.ok) {
-        const events = await eventsResponse.json();
-        const oneWeekAgo = new Date();
-        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-        
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-
-        const pushEvents = events.filter(event => event.type === 'PushEvent');
-        
-        pushEvents.forEach(event => {
-          const eventDate = new Date(event.created_at);
-          const commitCount = event.payload?.commits?.length || 1;
-          
-          if (eventDate >= oneWeekAgo) {
-            weekCommits += commitCount;
-          }
-          if (eventDate >= oneMonthAgo) {
-            monthCommits += commitCount;
-          }
-        });
-      }
-
-      return {
-        total: totalCommits,
-        thisWeek: weekCommits,
-        thisMonth: monthCommits,
-        publicRepos: profile.public_repos,
-        method: 'search_api' // Indicate this used the more accurate method
-      };
-    } catch (error) {
-      console.error('Error with accurate GitHub stats, falling back:', error);
-      // Fall back to estimation method
-      return await githubAPI.getUserCommitStats(username);
+      const data = await response.json();
+      detailed.push({
+        id: gist.id,
+        description: data.description || '',
+        contents: Object.values(data.files || {}).map(file => file.content || '')
+      });
     }
+    return detailed;
   },
 
   // Get user's contribution activity (requires GitHub token for private data)
   getUserContributions: async (username, token = null) => {
     try {
-      const headers = token ? { 'Authorization': `token ${token}` } : {};
-      
       // This would require GitHub GraphQL API for contribution graph data
       // For now, we'll use the REST API limitations
-      const eventsResponse = await fetch(
-        `${GITHUB_API_BASE}/users/${username}/events/public?per_page=100`,
-        { headers }
+      const eventsResponse = await githubClient.request(
+        `/users/${username}/events/public?per_page=100`,
+        token ? { token } : {}
       );
 
       if (!eventsResponse.ok) {
@@ -288,7 +285,7 @@ export const githubAPI = {
   // Validate if username exists
   validateUsername: async (username) => {
     try {
-      const response = await fetch(`${GITHUB_API_BASE}/users/${username}`);
+      const response = await githubClient.request(`/users/${username}`);
       return response.ok;
     } catch (error) {
       console.error('Error validating GitHub username:', error);
@@ -0,0 +1,210 @@
+// Global, friends and organization leaderboards across all users with linked accounts.
+// Scores are precomputed per window into LeaderboardAggregate and scored with the same rules
+// as a room using the default settings, so the numbers match a default room's leaderboard.
+// Only accounts whose ownership was verified are scored, as with requireVerifiedAccounts.
+import User from '../models/User.js';
+import LeaderboardAggregate from '../models/LeaderboardAggregate.js';
+import { resolveScoringConfig, scoreStats } from './scoringService.js';
+import { loadWindowStats } from './leaderboardService.js';
+import { userStatsService } from './userStatsService.js';
+import { VERIFICATION_PROVIDERS } from './accountVerificationService.js';
+import { PROVIDER_IDS } from './providerRegistry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USER_BATCH_SIZE = 500;
+const WRITE_BATCH_SIZE = 1000;
+
+// Rolling windows, like the room leaderboard's ?from=&to=; all-time scores lifetime stats
+export const LEADERBOARD_WINDOWS = {
+  weekly: 7,
+  monthly: 30,
+  'all-time': null
+};
+
+const organizationKeyOf = (organization) => (organization || '').trim().toLowerCase();
+
+let running = false;
+
+// The account with unverified links dropped, so anyone else's handle scores nothing.
+// Providers without an ownership check (e.g. AtCoder) count, as in room leaderboards.
+const verifiedAccount = (account) => {
+  const empty = userStatsService.toAccount(null);
+  const unverified = VERIFICATION_PROVIDERS.filter(provider => account.profiles[provider] && !account.verified[provider]);
+  return {
+    ...account,
+    profiles: { ...account.profiles, ...Object.fromEntries(unverified.map(provider => [provider, ''])) },
+    stats: { ...account.stats, ...Object.fromEntries(unverified.map(provider => [provider, empty.stats[provider]])) }
+  };
+};
+
+const hasLinkedAccount = (account) => Object.values(account.profiles).some(Boolean);
+
+// Score one batch of users for a window; users left without a verified account are skipped
+const scoreBatch = async (users, window, config, now) => {
+  const days = LEADERBOARD_WINDOWS[window];
+  const accounts = new Map(users
+    .map(user => [user.auth0Id, verifiedAccount(userStatsService.toAccount(user))])
+    .filter(([, account]) => hasLinkedAccount(account)));
+  
+  let context = { accounts, baseline: undefined, config };
+  if (days) {
+    const from = new Date(now.getTime() - days * DAY_MS);
+    context = { ...(await loadWindowStats(accounts, { from, to: now })), config: { ...config, usesBaseline: true } };
+  }
+  
+  return users.filter(user => accounts.has(user.auth0Id)).map(user => {
+    const account = context.accounts.get(user.auth0Id);
+    const score = scoreStats(account.stats, context.config, { auth0Id: user.auth0Id, baseline: context.baseline });
+    return {
+      auth0Id: user.auth0Id,
+      name: user.name,
+      picture: user.picture || '',
+      organization: user.organization || '',
+      organizationKey: organizationKeyOf(user.organization),
+      profiles: account.profiles,
+      leetcodeScore: score.leetcodeScore,
+      githubScore: score.githubScore,
+      providerScores: score.providerScores,
+      totalScore: score.totalScore
+    };
+  });
+};
+
+// Competition ranking (ties share a rank), highest score first
+const assignRanks = (entries, key) => {
+  let previous = null;
+  entries.forEach((entry, index) => {
+    entry[key] = previous && previous.totalScore === entry.totalScore ? previous[key] : index + 1;
+    previous = entry;
+  });
+};
+
+// Page of aggregates as API entries
+const toEntries = (aggregates, rankKey = 'rank') => aggregates.map(aggregate => ({
+  auth0Id: aggregate.auth0Id,
+  name: aggregate.name,
+  picture: aggregate.picture,
+  organization: aggregate.organization,
+  profiles: aggregate.profiles,
+  leetcodeScore: aggregate.leetcodeScore,
+  githubScore: aggregate.githubScore,
+  providerScores: aggregate.providerScores,
+  totalScore: aggregate.totalScore,
+  rank: aggregate[rankKey],
+  globalRank: aggregate.rank
+}));
+
+export const globalLeaderboardService = {
+  // Rebuild every window's aggregates. Users without any verified linked account are left out.
+  recompute: async () => {
+    if (running) {
+      return { skipped: true, reason: 'A recompute is already running' };
+    }
+    running = true;
+    
+    const startedAt = Date.now();
+    const now = new Date();
+    const config = resolveScoringConfig({});
+    const summary = { users: 0, windows: {} };
+    
+    try {
+      // Legacy username fields count until scripts/migrateLinkedAccounts.js has run
+      const linked = [
+        ...PROVIDER_IDS.map(provider => ({ [`linkedAccounts.${provider}`]: { $nin: ['', null] } })),
+        { leetcodeUsername: { $nin: ['', null] } },
+        { githubUsername: { $nin: ['', null] } }
+      ];
+      const filter = { isActive: { $ne: false }, $or: linked };
+      
+      for (const window of Object.keys(LEADERBOARD_WINDOWS)) {
+        const entries = [];
+        let lastId = null;
+        
+        while (true) {
+          const users = await User.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+            .select('auth0Id name picture organization linkedAccounts leetcodeUsername githubUsername accountVerification platformStats statsLastUpdated')
+            .sort({ _id: 1 })
+            .limit(USER_BATCH_SIZE)
+            .lean();
+          if (users.length === 0) break;
+          
+          entries.push(...await scoreBatch(users, window, config, now));
+          lastId = users[users.length - 1]._id;
+        }
+        
+        entries.sort((a, b) => b.totalScore - a.totalScore);
+        assignRanks(entries, 'rank');
+        
+        const byOrganization = new Map();
+        for (const entry of entries) {
+          if (!entry.organizationKey) continue;
+          byOrganization.set(entry.organizationKey, [...(byOrganization.get(entry.organizationKey) || []), entry]);
+        }
+        byOrganization.forEach(members => assignRanks(members, 'organizationRank'));
+        
+        const periodStart = LEADERBOARD_WINDOWS[window] ? new Date(now.getTime() - LEADERBOARD_WINDOWS[window] * DAY_MS) : null;
+        for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+          await LeaderboardAggregate.bulkWrite(entries.slice(i, i + WRITE_BATCH_SIZE).map(entry => ({
+            updateOne: {
+              filter: { window, auth0Id: entry.auth0Id },
+              update: { $set: { ...entry, organizationRank: entry.organizationRank ?? null, window, periodStart, computedAt: now } },
+              upsert: true
+            }
+          })), { ordered: false });
+        }
+        
+        // Users who unlinked everything or were deactivated since the last run
+        await LeaderboardAggregate.deleteMany({ window, computedAt: { $lt: now } });
+        
+        summary.users = entries.length;
+        summary.windows[window] = entries.length;
+      }
+      
+      summary.durationMs = Date.now() - startedAt;
+      console.log(`🏆 Global leaderboards recomputed for ${summary.users} users in ${summary.durationMs}ms`);
+      return summary;
+    } finally {
+      running = false;
+    }
+  },
+
+  // A page of a precomputed leaderboard. `viewer` (the requesting user) is required for the
+  // friends and organization scopes; their own entry is returned as `me` when they are ranked.
+  getLeaderboard: async ({ scope = 'global', window = 'all-time', viewer = null, page = 1, limit = 50 }) => {
+    const latest = await LeaderboardAggregate.findOne({ window }).sort({ computedAt: -1 }).select('computedAt periodStart').lean();
+    const meta = { computedAt: latest?.computedAt || null, periodStart: latest?.periodStart || null };
+    
+    // Friend groups are small, so their ranks are assigned per request
+    if (scope === 'friends') {
+      const friends = await LeaderboardAggregate.find({ window, auth0Id: { $in: [viewer.auth0Id, ...(viewer.friends || [])] } })
+        .sort({ rank: 1, auth0Id: 1 })
+        .lean();
+      const entries = toEntries(friends);
+      assignRanks(entries, 'rank');
+      
+      return {
+        entries: entries.slice((page - 1) * limit, page * limit),
+        me: entries.find(entry => entry.auth0Id === viewer.auth0Id) || null,
+        total: entries.length,
+        ...meta
+      };
+    }
+    
+    const organization = scope === 'organization';
+    const filter = organization ? { window, organizationKey: organizationKeyOf(viewer.organization) } : { window };
+    const rankKey = organization ? 'organizationRank' : 'rank';
+    
+    const [aggregates, total, me] = await Promise.all([
+      LeaderboardAggregate.find(filter).sort({ [rankKey]: 1, auth0Id: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      LeaderboardAggregate.countDocuments(filter),
+      viewer ? LeaderboardAggregate.findOne({ ...filter, auth0Id: viewer.auth0Id }).lean() : null
+    ]);
+    
+    return {
+      entries: toEntries(aggregates, rankKey),
+      me: me ? toEntries([me], rankKey)[0] : null,
+      total,
+      ...meta
+    };
+  }
+};
@@ -0,0 +1,135 @@
+// Room leaderboard calculation
+import { resolveScoringConfig, scoreStats } from './scoringService.js';
+import { resultsService } from './resultsService.js';
+import { statsHistoryService } from './statsHistoryService.js';
+import { userStatsService } from './userStatsService.js';
+import { PROVIDER_IDS } from './providerRegistry.js';
+import { VERIFICATION_PROVIDERS } from './accountVerificationService.js';
+
+// Load what the room's scoring strategy needs: participants' accounts (linked usernames and
+// stats stored on the User) and, for baseline strategies, the session start snapshot
+export const loadScoringContext = async (room) => {
+  const config = resolveScoringConfig(room.settings.leaderboard);
+  const baseline = config.usesBaseline ? await resultsService.getSessionBaseline(room) : undefined;
+  const accounts = await userStatsService.getRoomAccounts(room);
+  return { config, baseline, accounts };
+};
+
+// Stats history between two dates for a set of accounts (auth0Id -> account): the baseline at
+// `from` and the accounts with their stats as of `to`, ready for scoreStats with a baseline config
+export const loadWindowStats = async (accounts, { from, to }) => {
+  const baseline = new Map();
+  const windowAccounts = new Map();
+  
+  const linked = [...accounts.values()].flatMap(account => PROVIDER_IDS
+    .filter(provider => account.profiles[provider])
+    .map(provider => ({ provider, username: account.profiles[provider] })));
+  const history = await statsHistoryService.getWindowStats(linked, { from, to });
+  
+  for (const [auth0Id, account] of accounts) {
+    const start = {};
+    const end = {};
+    
+    for (const provider of PROVIDER_IDS) {
+      const username = account.profiles[provider];
+      if (!username) continue;
+      
+      // History may start inside the window; then growth is measured from the first snapshot
+      const window = history.get(`${provider}:${username.toLowerCase()}`);
+      start[provider] = window?.start || null;
+      end[provider] = window?.end || null;
+    }
+    
+    // Snapshots are only written for real fetches, so window stats are server-verified
+    const stats = Object.fromEntries(Object.entries(end).map(([provider, values]) => [
+      provider,
+      values && { ...values, provenance: { source: 'stats_history', method: 'cached', fetchedAt: values.fetchedAt, error: null } }
+    ]));
+    
+    baseline.set(auth0Id, start);
+    windowAccounts.set(auth0Id, { ...account, stats });
+  }
+  
+  return { baseline, accounts: windowAccounts };
+};
+
+// Scoring context for progress made between two dates, from the stats history.
+// Participants are scored on (stats at `to`) minus (stats at `from`) using the room's weights.
+export const loadWindowContext = async (room, { from, to }) => {
+  const config = { ...resolveScoringConfig(room.settings.leaderboard), usesBaseline: true };
+  const { baseline, accounts } = await loadWindowStats(await userStatsService.getRoomAccounts(room), { from, to });
+  return { config, baseline, accounts, window: { from, to } };
+};
+
+// Rank active participants of a room by their weighted per-provider scores.
+// Entries carry their stats' provenance and account ownership status. Participants with
+// unverified stats or accounts are flagged, and left unranked at the end when the room's
+// settings make them ineligible.
+export const buildLeaderboard = (room, { config = resolveScoringConfig(room.settings.leaderboard), baseline, accounts = new Map() } = {}) => {
+  const entries = room.participants
+    .filter(p => p.isActive !== false)
+    .map(participant => {
+      const account = accounts.get(participant.auth0Id) || userStatsService.toAccount(null);
+      const score = scoreStats(account.stats, config, { auth0Id: participant.auth0Id, baseline });
+      const unverified = userStatsService.unverifiedProviders(account);
+      // Providers without an ownership check (e.g. AtCoder) can't hold a participant back
+      const unverifiedAccounts = VERIFICATION_PROVIDERS
+        .filter(provider => account.profiles[provider] && !account.verified[provider]);
+      
+      return {
+        auth0Id: participant.auth0Id,
+        name: participant.name,
+        picture: participant.picture,
+        role: participant.role,
+        profiles: account.profiles,
+        stats: account.stats,
+        provenance: Object.fromEntries(PROVIDER_IDS.map(provider => [
+          provider,
+          account.stats[provider]?.provenance || null
+        ])),
+        verified: unverified.length === 0,
+        unverified,
+        accountsVerified: unverifiedAccounts.length === 0,
+        unverifiedAccounts,
+        leetcodeScore: score.leetcodeScore,
+        githubScore: score.githubScore,
+        providerScores: score.providerScores,
+        totalScore: score.totalScore,
+        lastUpdated: account.statsLastUpdated
+      };
+    });
+  
+  const { excludeUnverified, requireVerifiedAccounts } = room.settings.leaderboard || {};
+  const isEligible = (entry) => 
+    (!excludeUnverified || entry.verified) && (!requireVerifiedAccounts || entry.accountsVerified);
+  
+  const ranked = entries
+    .filter(isEligible)
+    .sort((a, b) => b.totalScore - a.totalScore)
+    .map((participant, index) => ({
+      ...participant,
+      rank: index + 1
+    }));
+  const excluded = entries
+    .filter(entry => !isEligible(entry))
+    .map(entry => ({ ...entry, rank: null, excluded: true }));
+  
+  return [...ranked, ...excluded];
+};
+
+// Build the leaderboard with everything the room's strategy needs
+export const computeLeaderboard = async (room) => {
+  return buildLeaderboard(room, await loadScoringContext(room));
+};
+
+// Store each participant's current score after a stats refresh (caller saves the room)
+export const applyLeaderboardScores = async (room) => {
+  const { config, baseline, accounts } = await loadScoringContext(room);
+  
+  for (const participant of room.participants) {
+    const account = accounts.get(participant.auth0Id);
+    participant.leaderboardScore = account
+      ? scoreStats(account.stats, config, { auth0Id: participant.auth0Id, baseline }).totalScore
+      : 0;
+  }
+};
@@ -1,4 +1,55 @@
 // LeetCode API Integration Service
+import process from 'process';
+import { statsCache } from './statsCache.js';
+import { statsHistoryService } from './statsHistoryService.js';
+
+// LeetCode's own GraphQL endpoint; overridable so tests can point at a local mock
+const getLeetCodeGraphQLUrl = () => process.env.LEETCODE_GRAPHQL_URL || 'https://leetcode.com/graphql';
+
+const RECENT_AC_SUBMISSIONS_QUERY = `
+  query recentAcSubmissions($username: String!, $limit: Int!) {
+    recentAcSubmissionList(username: $username, limit: $limit) {
+      id
+      title
+      titleSlug
+      timestamp
+      lang
+    }
+  }
+`;
+
+const PROFILE_SUMMARY_QUERY = `
+  query userProfileSummary($username: String!) {
+    matchedUser(username: $username) {
+      username
+      profile {
+        aboutMe
+      }
+    }
+  }
+`;
+
+// POST a query to LeetCode's GraphQL API and return its data
+const leetcodeGraphQL = async (query, variables) => {
+  const response = await fetch(getLeetCodeGraphQLUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Referer': 'https://leetcode.com'
+    },
+    body: JSON.stringify({ query, variables })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`LeetCode GraphQL responded with status: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  if (data.errors?.length) {
+    throw new Error(data.errors.map(error => error.message).join('; '));
+  }
+  return data.data;
+};
 
 // Using multiple API endpoints for better reliability
 const LEETCODE_API_ENDPOINTS = [
@@ -7,74 +58,121 @@ const LEETCODE_API_ENDPOINTS = [
   'https://leetcode-api-faisalshohag.vercel.app'
 ];
 
-export const leetcodeAPI = {
-  // Get user's LeetCode statistics with fallback APIs
-  getUserStats: async (username) => {
-    const errors = [];
-    
-    // Try multiple API endpoints
-    for (const apiBase of LEETCODE_API_ENDPOINTS) {
-      try {
-        console.log(`Trying LeetCode API: ${apiBase}/${username}`);
-        const response = await fetch(`${apiBase}/${username}`, {
-          timeout: 10000 // 10 second timeout
-        });
-        
-        if (!response.ok) {
-          throw new Error(`API responded with status: ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log('LeetCode API response:', data);
-        
-        // Handle different response formats from different APIs
-        if (data.status === 'error' || data.message === 'failed' || data.errors) {
-          throw new Error(data.message || data.errors || 'User not found');
-        }
+// Get user's LeetCode statistics with fallback APIs
+const fetchUserStats = async (username) => {
+  const errors = [];
+  
+  // Try multiple API endpoints
+  for (const apiBase of LEETCODE_API_ENDPOINTS) {
+    try {
+      console.log(`Trying LeetCode API: ${apiBase}/${username}`);
+      const response = await fetch(`${apiBase}/${username}`, {
+        timeout: 10000 // 10 second timeout
+      });
+      
+      if (!response.ok) {
+        throw new Error(`API responded with status: ${response.status}`);
+      }
 
-        // Normalize different API response formats
-        return {
-          totalSolved: data.totalSolved || data.solvedProblem || data.total_solved || 0,
-          totalQuestions: data.totalQuestions || data.total_problems || 0,
-          easySolved: data.easySolved || data.easy || data.easy_solved || 0,
-          totalEasy: data.totalEasy || data.total_easy || 0,
-          mediumSolved: data.mediumSolved || data.medium || data.medium_solved || 0,
-          totalMedium: data.totalMedium || data.total_medium || 0,
-          hardSolved: data.hardSolved || data.hard || data.hard_solved || 0,
-          totalHard: data.totalHard || data.total_hard || 0,
-          acceptanceRate: data.acceptanceRate || data.acceptance_rate || 0,
-          ranking: data.ranking || data.rank || null,
-          contributionPoints: data.contributionPoints || data.contribution_points || 0,
-          reputation: data.reputation || 0
-        };
-      } catch (error) {
-        console.error(`LeetCode API ${apiBase} failed:`, error.message);
-        errors.push(`${apiBase}: ${error.message}`);
-        continue; // Try next API
+      const data = await response.json();
+      
+      // Handle different response formats from different APIs
+      if (data.status === 'error' || data.message === 'failed' || data.errors) {
+        throw new Error(data.message || data.errors || 'User not found');
       }
+
+      // Normalize different API response formats
+      return {
+        totalSolved: data.totalSolved || data.solvedProblem || data.total_solved || 0,
+        totalQuestions: data.totalQuestions || data.total_problems || 0,
+        easySolved: data.easySolved || data.easy || data.easy_solved || 0,
+        totalEasy: data.totalEasy || data.total_easy || 0,
+        mediumSolved: data.mediumSolved || data.medium || data.medium_solved || 0,
+        totalMedium: data.totalMedium || data.total_medium || 0,
+        hardSolved: data.hardSolved || data.hard || data.hard_solved || 0,
+        totalHard: data.totalHard || data.total_hard || 0,
+        acceptanceRate: data.acceptanceRate || data.acceptance_rate || 0,
+        ranking: data.ranking || data.rank || null,
+        contributionPoints: data.contributionPoints || data.contribution_points || 0,
+        reputation: data.reputation || 0,
+        source: new URL(apiBase).hostname
+      };
+    } catch (error) {
+      console.error(`LeetCode API ${apiBase} failed:`, error.message);
+      errors.push(`${apiBase}: ${error.message}`);
+      continue; // Try next API
     }
+  }
+  
+  // If all APIs failed, return error
+  console.error('All LeetCode APIs failed:', errors);
+  return {
+    error: true,
+    message: `All LeetCode APIs failed. Errors: ${errors.join('; ')}`,
+    totalSolved: 0,
+    easySolved: 0,
+    mediumSolved: 0,
+    hardSolved: 0
+  };
+};
+
+// Every real fetch is also recorded in the stats history
+const fetchAndRecordUserStats = async (username) => {
+  const stats = await fetchUserStats(username);
+  if (!stats.error) {
+    await statsHistoryService.recordSnapshot('leetcode', username, {
+      total: stats.totalSolved,
+      easy: stats.easySolved,
+      medium: stats.mediumSolved,
+      hard: stats.hardSolved
+    });
+  }
+  return stats;
+};
+
+export const leetcodeAPI = {
+  // LeetCode statistics through the shared stats cache; failed lookups are never cached
+  getUserStats: async (username, { forceRefresh = false, waitForRefresh = false } = {}) => {
+    const { data, cache } = await statsCache.getOrFetch('leetcode', username, () => fetchAndRecordUserStats(username), {
+      isCacheable: (result) => !result.error,
+      forceRefresh,
+      waitForRefresh
+    });
+    return { ...data, cache };
+  },
+
+  // Get user's recent accepted submissions from LeetCode's GraphQL API (newest first)
+  getRecentAcceptedSubmissions: async (username, limit = 20) => {
+    const data = await leetcodeGraphQL(RECENT_AC_SUBMISSIONS_QUERY, { username, limit });
     
-    // If all APIs failed, return error
-    console.error('All LeetCode APIs failed:', errors);
-    return {
-      error: true,
-      message: `All LeetCode APIs failed. Errors: ${errors.join('; ')}`,
-      totalSolved: 0,
-      easySolved: 0,
-      mediumSolved: 0,
-      hardSolved: 0
-    };
+    return (data?.recentAcSubmissionList || []).map(submission => ({
+      id: submission.id,
+      title: submission.title,
+      titleSlug: submission.titleSlug,
+      lang: submission.lang,
+      timestamp: new Date(Number(submission.timestamp) * 1000) // LeetCode sends epoch seconds
+    }));
+  },
+
+  // The "summary" (aboutMe) text of a LeetCode profile; null when the user does not exist
+  getProfileSummary: async (username) => {
+    const data = await leetcodeGraphQL(PROFILE_SUMMARY_QUERY, { username });
+    if (!data?.matchedUser) {
+      return null;
+    }
+    return data.matchedUser.profile?.aboutMe || '';
   },
 
-  // Get user's recent submissions (limited by API availability)
+  // Get user's recent submissions along with their overall stats
   getRecentSubmissions: async (username) => {
     try {
-      // Note: This endpoint might not be available in all APIs
-      // We'll return basic stats for now
-      const stats = await leetcodeAPI.getUserStats(username);
+      const [recentSubmissions, stats] = await Promise.all([
+        leetcodeAPI.getRecentAcceptedSubmissions(username),
+        leetcodeAPI.getUserStats(username)
+      ]);
       
       return {
-        recentSubmissions: [], // Would need different API endpoint
+        recentSubmissions,
         totalSubmissions: stats.totalSolved,
         acceptanceRate: stats.acceptanceRate
       };
@@ -99,20 +197,6 @@ export const leetcodeAPI = {
     }
   },
 
-  // Calculate LeetCode score based on problems solved
-  calculateLeetCodeScore: (stats) => {
-    const { easySolved, mediumSolved, hardSolved } = stats;
-    
-    // Weighted scoring system
-    const easyWeight = 1;
-    const mediumWeight = 3;
-    const hardWeight = 5;
-    
-    return (easySolved * easyWeight) + 
-           (mediumSolved * mediumWeight) + 
-           (hardSolved * hardWeight);
-  },
-
   // Get difficulty-specific stats
   getDifficultyBreakdown: async (username) => {
     try {
@@ -145,14 +229,3 @@ export const leetcodeAPI = {
     }
   }
 };
-
-// Calculate LeetCode score based on difficulty
-export const calculateLeetCodeScore = (leetcodeStats) => {
-  if (!leetcodeStats) return 0;
-  
-  const easy = leetcodeStats.easy || 0;
-  const medium = leetcodeStats.medium || 0;
-  const hard = leetcodeStats.hard || 0;
-  
-  return (easy * 1) + (medium * 2) + (hard * 3);
-};
\ No newline at end of file
@@ -0,0 +1,127 @@
+// Kicks, bans and chat mutes. Every action is recorded in room.moderation.actions with who
+// took it and why. Rooms must be loaded with +moderation; the caller saves.
+const REASON_MAX_LENGTH = 500;
+const MUTE_MAX_MINUTES = 7 * 24 * 60;
+
+// MODERATION_INVALID: the request can't be satisfied as made.
+const moderationError = (message, code = 'MODERATION_INVALID') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const parseReason = (reason, { required = true } = {}) => {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (required && !text) {
+    throw moderationError('A reason is required');
+  }
+  if (text.length > REASON_MAX_LENGTH) {
+    throw moderationError(`reason cannot exceed ${REASON_MAX_LENGTH} characters`);
+  }
+  return text;
+};
+
+const record = (room, action, { auth0Id, name = '', by, reason = '', expiresAt = null }) => {
+  room.moderation.actions.push({ action, auth0Id, name, by, reason, expiresAt });
+  return room.moderation.actions[room.moderation.actions.length - 1];
+};
+
+// Take an active participant out of the room
+const removeParticipant = (room, auth0Id) => {
+  const participant = room.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+  if (participant) {
+    participant.isActive = false;
+  }
+  return participant;
+};
+
+export const moderationService = {
+  isBanned: (room, auth0Id) => room.moderation.bans.some(ban => ban.auth0Id === auth0Id),
+
+  // The ban on a user, or null
+  getBan: (room, auth0Id) => room.moderation.bans.find(ban => ban.auth0Id === auth0Id) || null,
+
+  // Whether `auth0Id` may lift a ban or mute: they must outrank its target and not be
+  // outranked by whoever imposed it (a moderator can't undo a co-host's ban)
+  canLift: (room, auth0Id, restriction) => 
+    room.outranks(auth0Id, restriction.auth0Id) && !room.outranks(restriction.by, auth0Id),
+
+  // The mute in force for a user, or null; expired mutes no longer count
+  getActiveMute: (room, auth0Id, now = new Date()) => room.moderation.mutes.find(mute =>
+    mute.auth0Id === auth0Id && (!mute.expiresAt || mute.expiresAt > now)
+  ) || null,
+
+  // Remove an active participant now; they may rejoin unless banned
+  kick: (room, { auth0Id, by, reason }) => {
+    const text = parseReason(reason);
+    const participant = removeParticipant(room, auth0Id);
+    if (!participant) {
+      throw moderationError('Participant not found', 'MODERATION_NOT_FOUND');
+    }
+    return record(room, 'kick', { auth0Id, name: participant.name, by, reason: text });
+  },
+
+  // Block a user from joining (and remove them if they are in the room)
+  ban: (room, { auth0Id, name, by, reason }) => {
+    const text = parseReason(reason);
+    if (moderationService.isBanned(room, auth0Id)) {
+      throw moderationError('User is already banned from this room');
+    }
+    
+    const participant = removeParticipant(room, auth0Id);
+    const bannedName = participant?.name || name || '';
+    room.moderation.bans.push({ auth0Id, name: bannedName, by, reason: text });
+    
+    // Pending join requests die with the ban
+    if (room.access?.joinRequests) {
+      room.access.joinRequests = room.access.joinRequests.filter(request => request.auth0Id !== auth0Id);
+    }
+    
+    return { action: record(room, 'ban', { auth0Id, name: bannedName, by, reason: text }), removed: !!participant };
+  },
+
+  unban: (room, { auth0Id, by, reason }) => {
+    const text = parseReason(reason, { required: false });
+    const ban = moderationService.getBan(room, auth0Id);
+    if (!ban) {
+      throw moderationError('User is not banned from this room', 'MODERATION_NOT_FOUND');
+    }
+    
+    room.moderation.bans = room.moderation.bans.filter(entry => entry.auth0Id !== auth0Id);
+    return record(room, 'unban', { auth0Id, name: ban.name, by, reason: text });
+  },
+
+  // Stop an active participant from posting in chat, for `durationMinutes` or indefinitely
+  mute: (room, { auth0Id, by, reason, durationMinutes = null }) => {
+    const text = parseReason(reason);
+    const participant = room.participants.find(p => p.auth0Id === auth0Id && p.isActive);
+    if (!participant) {
+      throw moderationError('Participant not found', 'MODERATION_NOT_FOUND');
+    }
+    
+    let expiresAt = null;
+    if (durationMinutes !== null && durationMinutes !== undefined) {
+      const minutes = Number(durationMinutes);
+      if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MUTE_MAX_MINUTES) {
+        throw moderationError(`durationMinutes must be between 0 and ${MUTE_MAX_MINUTES}, or null for indefinite`);
+      }
+      expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    }
+    
+    // A new mute replaces any earlier one
+    room.moderation.mutes = room.moderation.mutes.filter(mute => mute.auth0Id !== auth0Id);
+    room.moderation.mutes.push({ auth0Id, name: participant.name, by, reason: text, expiresAt });
+    return record(room, 'mute', { auth0Id, name: participant.name, by, reason: text, expiresAt });
+  },
+
+  unmute: (room, { auth0Id, by, reason }) => {
+    const text = parseReason(reason, { required: false });
+    const mute = moderationService.getActiveMute(room, auth0Id);
+    if (!mute) {
+      throw moderationError('User is not muted in this room', 'MODERATION_NOT_FOUND');
+    }
+    
+    room.moderation.mutes = room.moderation.mutes.filter(entry => entry.auth0Id !== auth0Id);
+    return record(room, 'unmute', { auth0Id, name: mute.name, by, reason: text });
+  }
+};
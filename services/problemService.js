@@ -0,0 +1,84 @@
+// Problem catalog helpers for room sessions
+import Problem from '../models/Problem.js';
+
+const toProblemRef = (problem) => ({
+  title: problem.title,
+  slug: problem.slug,
+  difficulty: problem.difficulty,
+  url: problem.url
+});
+
+// Strip round-only fields so currentProblem keeps its original shape
+const toCurrentProblem = ({ title, slug, difficulty, url }) => ({ title, slug, difficulty, url });
+
+export const problemService = {
+  // Random catalog problems matching the room difficulty that the room hasn't been assigned yet
+  pickForRoom: async (room, count = 1) => {
+    const excludeSlugs = [
+      ...room.problemHistory.map(entry => entry.slug),
+      ...room.problemSet.map(problem => problem.slug)
+    ];
+    
+    const problems = await Problem.pickRandom({
+      difficulty: room.settings.difficulty,
+      excludeSlugs,
+      count
+    });
+    return problems.map(toProblemRef);
+  },
+
+  // Look up catalog problems by slug, keeping the requested order; returns missing slugs too
+  resolveSlugs: async (slugs) => {
+    const normalized = slugs.map(slug => String(slug).toLowerCase().trim());
+    const problems = await Problem.find({ slug: { $in: normalized }, isActive: true });
+    const bySlug = new Map(problems.map(problem => [problem.slug, problem]));
+    
+    return {
+      problems: normalized.filter(slug => bySlug.has(slug)).map(slug => toProblemRef(bySlug.get(slug))),
+      missing: normalized.filter(slug => !bySlug.has(slug))
+    };
+  },
+
+  // Make a problem the room's current problem and remember it was assigned (caller saves the room)
+  assignProblem: (room, problem, startTime = new Date()) => {
+    room.currentProblem = {
+      ...toCurrentProblem(problem),
+      startTime
+    };
+    
+    if (problem.slug) {
+      room.problemHistory.push({ slug: problem.slug, title: problem.title, assignedAt: startTime });
+    }
+  },
+
+  // One round per problem; the budget is the problem's own timeLimit, the requested
+  // per-round limit, or an even split of the session time limit
+  buildRounds: (room, problems, roundTimeLimit) => {
+    const evenSplit = Math.max(1, Math.floor(room.settings.timeLimit / problems.length));
+    const defaultLimit = roundTimeLimit ? Math.min(Math.max(roundTimeLimit, 1), 180) : evenSplit;
+    
+    return problems.map(problem => ({
+      problem,
+      timeLimit: problem.timeLimit || defaultLimit,
+      startTime: null,
+      endsAt: null,
+      endTime: null
+    }));
+  },
+
+  // Close the running round (if any) and start the round at index (caller saves the room)
+  startRound: (room, index, now = new Date()) => {
+    const running = room.rounds[room.currentRound];
+    if (running && !running.endTime) {
+      running.endTime = now;
+    }
+    
+    const round = room.rounds[index];
+    round.startTime = now;
+    round.endsAt = new Date(now.getTime() + round.timeLimit * 60 * 1000);
+    room.currentRound = index;
+    
+    problemService.assignProblem(room, round.problem.toObject(), now);
+    return round;
+  }
+};
@@ -0,0 +1,160 @@
+// Coding platform plugins. Every provider exposes the same interface, so linked accounts,
+// stats refreshes, verification and scoring work for any of them without schema changes:
+//
+//   id, name                              - key in User.linkedAccounts/platformStats, display name
+//   fields                                - numeric stats stored for the provider (normalized output)
+//   validateUsername(username)            -> Promise<boolean>
+//   getUserStats(username, options)       -> Promise<{ stats, cache } | { error }>; stats holds
+//                                            `fields` plus lastUpdated and provenance
+//   findVerificationCode(username, code)  -> Promise<'bio' | 'gist' | 'profile' | null>, optional;
+//                                            providers without it can't be ownership-verified
+//   verificationInstructions              - where to publish the code, with findVerificationCode
+//
+// Scoring per provider lives in services/scoringService.js.
+import { githubAPI } from './githubService.js';
+import { leetcodeAPI } from './leetcodeService.js';
+import { codeforcesAPI } from './codeforcesService.js';
+import { atcoderAPI } from './atcoderService.js';
+
+// Provenance for a result served through the stats cache
+const provenanceOf = (result, source, freshMethod = 'accurate') => ({
+  source,
+  method: result.cache.hit ? 'cached' : freshMethod,
+  fetchedAt: result.cache.fetchedAt,
+  error: null
+});
+
+const leetcode = {
+  id: 'leetcode',
+  name: 'LeetCode',
+  fields: ['total', 'easy', 'medium', 'hard'],
+  validateUsername: leetcodeAPI.validateUsername,
+  verificationInstructions: 'Add the code to the Summary of your LeetCode profile, then check again.',
+  
+  getUserStats: async (username, options) => {
+    const result = await leetcodeAPI.getUserStats(username, options);
+    if (result.error) {
+      return { error: result.message || 'User not found' };
+    }
+    return {
+      stats: {
+        easy: result.easySolved || 0,
+        medium: result.mediumSolved || 0,
+        hard: result.hardSolved || 0,
+        total: result.totalSolved || 0,
+        lastUpdated: result.cache.fetchedAt,
+        provenance: provenanceOf(result, result.source || null)
+      },
+      cache: result.cache
+    };
+  },
+  
+  findVerificationCode: async (username, code) => {
+    const summary = await leetcodeAPI.getProfileSummary(username);
+    if (summary === null) {
+      throw new Error(`LeetCode user "${username}" not found`);
+    }
+    return summary.includes(code) ? 'profile' : null;
+  }
+};
+
+const github = {
+  id: 'github',
+  name: 'GitHub',
+  fields: ['totalCommits', 'weeklyCommits', 'monthlyCommits'],
+  validateUsername: githubAPI.validateUsername,
+  verificationInstructions: 'Add the code to your GitHub bio, or to the description or a file of a public gist, then check again.',
+  
+  getUserStats: async (username, options) => {
+    const result = await githubAPI.getContributionStatsGraphQL(username, options);
+    if (!result.supported) {
+      return { error: result.reason };
+    }
+    
+    const accurate = result.method === 'graphql';
+    return {
+      stats: {
+        totalCommits: result.total,
+        weeklyCommits: result.thisWeek,
+        monthlyCommits: result.thisMonth,
+        lastUpdated: result.cache.fetchedAt,
+        provenance: provenanceOf(result, accurate ? 'github_graphql' : 'github_rest', accurate ? 'accurate' : 'estimate')
+      },
+      cache: result.cache
+    };
+  },
+  
+  findVerificationCode: async (username, code) => {
+    const profile = await githubAPI.getUserProfile(username);
+    if (profile.bio?.includes(code)) {
+      return 'bio';
+    }
+    
+    const gists = await githubAPI.getRecentGists(username, 3);
+    const inGist = gists.some(gist => 
+      gist.description.includes(code) || gist.contents.some(content => content.includes(code))
+    );
+    return inGist ? 'gist' : null;
+  }
+};
+
+const codeforces = {
+  id: 'codeforces',
+  name: 'Codeforces',
+  fields: ['rating', 'maxRating', 'solved'],
+  validateUsername: codeforcesAPI.validateUsername,
+  verificationInstructions: 'Add the code to the first name, last name or organization of your Codeforces profile, then check again.',
+  
+  getUserStats: async (username, options) => {
+    const result = await codeforcesAPI.getUserStats(username, options);
+    if (result.error) {
+      return { error: result.message };
+    }
+    return {
+      stats: {
+        rating: result.rating,
+        maxRating: result.maxRating,
+        solved: result.solved,
+        lastUpdated: result.cache.fetchedAt,
+        provenance: provenanceOf(result, 'codeforces_api')
+      },
+      cache: result.cache
+    };
+  },
+  
+  findVerificationCode: async (username, code) => {
+    const text = await codeforcesAPI.getProfileText(username);
+    return text.includes(code) ? 'profile' : null;
+  }
+};
+
+const atcoder = {
+  id: 'atcoder',
+  name: 'AtCoder',
+  fields: ['rating', 'maxRating', 'solved'],
+  validateUsername: atcoderAPI.validateUsername,
+  
+  getUserStats: async (username, options) => {
+    const result = await atcoderAPI.getUserStats(username, options);
+    if (result.error) {
+      return { error: result.message };
+    }
+    return {
+      stats: {
+        rating: result.rating,
+        maxRating: result.maxRating,
+        solved: result.solved,
+        lastUpdated: result.cache.fetchedAt,
+        // Solved counts come from a third-party index that lags AtCoder by a few minutes
+        provenance: provenanceOf(result, 'atcoder')
+      },
+      cache: result.cache
+    };
+  }
+};
+
+export const PROVIDERS = { leetcode, github, codeforces, atcoder };
+
+export const PROVIDER_IDS = Object.keys(PROVIDERS);
+
+export const getProvider = (id) => PROVIDERS[id] || null;
@@ -0,0 +1,161 @@
+// Session results - leaderboard snapshots at session start/end and per-participant deltas
+import SessionResult from '../models/SessionResult.js';
+import { userStatsService } from './userStatsService.js';
+import { PROVIDERS, PROVIDER_IDS } from './providerRegistry.js';
+
+// Rating-based providers, snapshotted under `providers`
+const OTHER_PROVIDERS = Object.values(PROVIDERS).filter(provider => !['leetcode', 'github'].includes(provider.id));
+
+// When the oldest of the participant's linked providers was last fetched (null if nothing is linked)
+const statsAsOf = (account) => {
+  const dates = PROVIDER_IDS
+    .filter(provider => account?.profiles[provider])
+    .map(provider => account.stats[provider]?.lastUpdated ? new Date(account.stats[provider].lastUpdated) : new Date(0));
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+};
+
+// Copy the current stored stats of the given participants from their accounts
+const takeSnapshot = (participants, accounts) => participants.map(participant => {
+  const stats = accounts.get(participant.auth0Id)?.stats;
+  return {
+    auth0Id: participant.auth0Id,
+    name: participant.name,
+    statsAsOf: statsAsOf(accounts.get(participant.auth0Id)),
+    leetcode: {
+      total: stats?.leetcode?.total || 0,
+      easy: stats?.leetcode?.easy || 0,
+      medium: stats?.leetcode?.medium || 0,
+      hard: stats?.leetcode?.hard || 0
+    },
+    github: {
+      totalCommits: stats?.github?.totalCommits || 0,
+      weeklyCommits: stats?.github?.weeklyCommits || 0,
+      monthlyCommits: stats?.github?.monthlyCommits || 0
+    },
+    // Only linked providers, so a provider linked mid-session is not counted as progress
+    providers: Object.fromEntries(OTHER_PROVIDERS
+      .filter(provider => accounts.get(participant.auth0Id)?.profiles[provider.id])
+      .map(provider => [
+        provider.id,
+        Object.fromEntries(provider.fields.map(field => [field, stats?.[provider.id]?.[field] || 0]))
+      ]))
+  };
+});
+
+// Counters only ever go up during a session; treat drops (e.g. a failed fetch) as no progress
+const diff = (end, start) => Math.max(0, (end || 0) - (start || 0));
+
+export const resultsService = {
+  // Fetch current stats for a room's session participants before a snapshot is taken, so the
+  // start and end snapshots don't rely on whatever the last refresh stored (which may be days old).
+  // Cached entries are bypassed; providers that fail keep their last known values.
+  refreshParticipantStats: async (room) => {
+    const participants = room.participants.filter(p => p.isActive !== false);
+    const accounts = await userStatsService.getAccounts(participants.map(p => p.auth0Id));
+    
+    for (const [auth0Id, account] of accounts) {
+      try {
+        const { updates, failures, errors } = await userStatsService.fetchAll(account.profiles, { forceRefresh: true });
+        errors.forEach(error => console.warn(`⚠️ ${error}`));
+        if (Object.keys(updates).length > 0 || Object.keys(failures).length > 0) {
+          await userStatsService.saveStats(auth0Id, updates, failures);
+        }
+      } catch (error) {
+        console.error(`Error refreshing session stats for ${auth0Id}:`, error.message);
+      }
+    }
+  },
+
+  // Snapshot every active participant when the session starts, after refreshing their stats
+  recordSessionStart: async (room) => {
+    const participants = room.participants.filter(p => p.isActive !== false);
+    await resultsService.refreshParticipantStats(room);
+    return SessionResult.create({
+      room: room._id,
+      roomName: room.name,
+      startedAt: room.session?.startedAt || new Date(),
+      startSnapshot: takeSnapshot(participants, await userStatsService.getAccounts(participants.map(p => p.auth0Id)))
+    });
+  },
+
+  // Snapshot the same participants at the end and rank them by what they did during the session
+  recordSessionEnd: async (room) => {
+    const result = await SessionResult.findOne({ room: room._id, status: 'in_progress' })
+      .sort({ startedAt: -1 });
+    
+    if (!result) {
+      console.warn(`⚠️ No session start snapshot for room ${room.name}, skipping results`);
+      return null;
+    }
+    
+    // Participants who left mid-session are still measured against their account stats
+    const startedIds = new Set(result.startSnapshot.map(entry => entry.auth0Id));
+    const participants = room.participants.filter(p => startedIds.has(p.auth0Id));
+    const endSnapshot = takeSnapshot(participants, await userStatsService.getAccounts([...startedIds]));
+    const endById = new Map(endSnapshot.map(entry => [entry.auth0Id, entry]));
+    
+    const results = result.startSnapshot
+      .map(start => {
+        const end = endById.get(start.auth0Id) || start;
+        // Stats not fetched since the session started can't show the progress made in it:
+        // an old start snapshot counts earlier work, an old end snapshot misses recent work
+        const stale = [start, end].some(entry => !!entry.statsAsOf && entry.statsAsOf < result.startedAt);
+        const participant = room.participants.find(p => p.auth0Id === start.auth0Id);
+        const easy = diff(end.leetcode.easy, start.leetcode.easy);
+        const medium = diff(end.leetcode.medium, start.leetcode.medium);
+        const hard = diff(end.leetcode.hard, start.leetcode.hard);
+        const providers = Object.fromEntries(Object.entries(start.providers || {})
+          .filter(([provider]) => end.providers?.[provider])
+          .map(([provider, values]) => [provider, {
+            solved: diff(end.providers[provider].solved, values.solved),
+            rating: (end.providers[provider].rating || 0) - (values.rating || 0) // Can drop
+          }]));
+        const otherSolved = Object.values(providers).reduce((sum, delta) => sum + delta.solved, 0);
+        
+        return {
+          auth0Id: start.auth0Id,
+          name: start.name,
+          picture: participant?.picture || '',
+          stale,
+          delta: {
+            problemsSolved: easy + medium + hard + otherSolved,
+            easy,
+            medium,
+            hard,
+            commits: diff(end.github.totalCommits, start.github.totalCommits),
+            providers
+          }
+        };
+      })
+      .sort((a, b) => 
+        b.delta.problemsSolved - a.delta.problemsSolved || 
+        b.delta.commits - a.delta.commits
+      )
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    
+    result.status = 'completed';
+    result.endedAt = room.session?.endedAt || new Date();
+    result.endReason = room.session?.endReason || null;
+    result.endSnapshot = endSnapshot;
+    result.results = results;
+    await result.save();
+    
+    return result;
+  },
+
+  // The room's session result (a room runs a single session), or null before it starts
+  getRoomResult: async (roomId) => {
+    return SessionResult.findOne({ room: roomId })
+      .select('-__v')
+      .sort({ startedAt: -1 });
+  },
+
+  // Start snapshot of the room's latest session as auth0Id -> provider stats, for delta scoring
+  getSessionBaseline: async (room) => {
+    const result = await SessionResult.findOne({ room: room._id }).sort({ startedAt: -1 }).lean();
+    return new Map((result?.startSnapshot || []).map(entry => [
+      entry.auth0Id,
+      { leetcode: entry.leetcode, github: entry.github, ...entry.providers }
+    ]));
+  }
+};
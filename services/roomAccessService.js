@@ -0,0 +1,149 @@
+// Private room access: hashed room passwords, expiring and revocable invite tokens, and the
+// decision whether a join is admitted straight away or queued for the creator's approval
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_MIN_LENGTH = 4;
+const PASSWORD_MAX_LENGTH = 100;
+const INVITE_DEFAULT_HOURS = 72;
+const INVITE_MAX_HOURS = 30 * 24;
+const INVITE_MAX_USES = 100;
+
+// ACCESS_INVALID: the request can't be satisfied as made.
+// ACCESS_DENIED: the caller may not join; `reason` tells the client what is missing.
+const accessError = (message, code = 'ACCESS_INVALID', reason = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.reason = reason;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const isInviteUsable = (invite, now = new Date()) => 
+  !invite.revokedAt && invite.expiresAt > now && (invite.maxUses === null || invite.uses < invite.maxUses);
+
+// Rooms whose details are only shown to members
+const isRestricted = (room) => !room.settings.isPublic || !!room.access?.passwordHash;
+
+export const roomAccessService = {
+  // Set (or clear with null/'') the room password; the room must be loaded with +access
+  setPassword: async (room, password) => {
+    if (password === null || password === '') {
+      room.access.passwordHash = null;
+      return;
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+      throw accessError(`password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters, or null to remove it`);
+    }
+    room.access.passwordHash = await hashPassword(password);
+  },
+
+  // Add an invite to the room (caller saves). The token is only ever returned here.
+  createInvite: (room, createdBy, { expiresInHours = INVITE_DEFAULT_HOURS, maxUses = null } = {}) => {
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > INVITE_MAX_HOURS) {
+      throw accessError(`expiresInHours must be a number between 0 and ${INVITE_MAX_HOURS}`);
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES)) {
+      throw accessError(`maxUses must be an integer between 1 and ${INVITE_MAX_USES}, or null for unlimited`);
+    }
+    
+    const token = crypto.randomBytes(24).toString('base64url');
+    room.access.invites.push({
+      tokenHash: hashToken(token),
+      createdBy,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      maxUses
+    });
+    
+    return { invite: room.access.invites[room.access.invites.length - 1], token };
+  },
+
+  // Invite as shown to the creator (never includes the token)
+  toInviteView: (invite) => ({
+    id: invite._id,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    revokedAt: invite.revokedAt,
+    active: isInviteUsable(invite)
+  }),
+
+  // Decide how a join is handled: 'admit' (with the invite that was used, if any) or 'request'
+  // for the approval queue. Throws ACCESS_DENIED when the caller can't join at all.
+  // The room must be loaded with +access; the caller records invite use and saves.
+  checkJoin: async (room, { inviteToken, password } = {}) => {
+    if (inviteToken) {
+      const tokenHash = hashToken(String(inviteToken));
+      const invite = room.access.invites.find(entry => entry.tokenHash === tokenHash);
+      if (!invite || !isInviteUsable(invite)) {
+        throw accessError('This invite link is invalid, revoked or expired', 'ACCESS_DENIED', 'invite_invalid');
+      }
+      return { decision: 'admit', invite };
+    }
+    
+    if (room.access.passwordHash) {
+      if (!password) {
+        throw accessError('This room requires a password or an invite link', 'ACCESS_DENIED', 'password_required');
+      }
+      if (!(await verifyPassword(password, room.access.passwordHash))) {
+        throw accessError('Incorrect room password', 'ACCESS_DENIED', 'password_invalid');
+      }
+    }
+    
+    // Private rooms without a password only admit invitees directly
+    const needsApproval = room.settings.requireApproval || (!room.settings.isPublic && !room.access.passwordHash);
+    return { decision: needsApproval ? 'request' : 'admit', invite: null };
+  },
+
+  // What a non-member needs to know before joining
+  getRequirements: (room) => ({
+    isPublic: room.settings.isPublic,
+    passwordRequired: !!room.access?.passwordHash,
+    requireApproval: room.settings.requireApproval || (!room.settings.isPublic && !room.access?.passwordHash)
+  }),
+
+  // Whether the caller may see the full room; restricted rooms show members only
+  canView: (room, auth0Id) => !isRestricted(room) || 
+    (!!auth0Id && (room.isCreator(auth0Id) || room.isParticipant(auth0Id))),
+
+  // Limited view of a restricted room for non-members, enough to decide whether to join
+  toPreview: (room, auth0Id = null) => ({
+    _id: room._id,
+    name: room.name,
+    description: room.description,
+    roomCode: room.roomCode,
+    status: room.status,
+    creator: { name: room.creator.name },
+    participantCount: room.participantCount,
+    settings: {
+      maxParticipants: room.settings.maxParticipants,
+      difficulty: room.settings.difficulty,
+      language: room.settings.language,
+      timeLimit: room.settings.timeLimit
+    },
+    access: roomAccessService.getRequirements(room),
+    joinRequest: auth0Id 
+      ? room.access?.joinRequests.find(request => request.auth0Id === auth0Id)?.status || null 
+      : null,
+    preview: true
+  })
+};
@@ -0,0 +1,33 @@
+// Room event hub - pushes room changes to Server-Sent Events subscribers
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+// Events are delivered in-process only; each server instance notifies its own subscribers
+export const roomEvents = {
+  // Publish an event to everyone subscribed to a room
+  publish: (roomId, type, data = {}) => {
+    emitter.emit(String(roomId), {
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Subscribe to a room's events; returns an unsubscribe function
+  subscribe: (roomId, listener) => {
+    const channel = String(roomId);
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+  },
+
+  // Number of open subscriptions for a room
+  subscriberCount: (roomId) => emitter.listenerCount(String(roomId))
+};
+
+// Write a single event in text/event-stream format
+export const writeSSE = (res, event) => {
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+};
@@ -0,0 +1,257 @@
+// Leaderboard scoring - the single implementation used by every leaderboard and stats refresh
+import { PROVIDERS, PROVIDER_IDS } from './providerRegistry.js';
+
+// Named strategies provide default weights; rooms can override any weight in settings.leaderboard
+export const SCORING_STRATEGIES = {
+  // Lifetime totals, the original leaderboard formula
+  classic: {
+    description: 'Lifetime solves (1/2/3 by difficulty) plus commits with a bonus for recent activity',
+    difficultyWeights: { easy: 1, medium: 2, hard: 3 },
+    commitWeights: { total: 1, weekly: 2, monthly: 0.5 },
+    ratingWeights: { solved: 1, rating: 0.1 }
+  },
+  // Rewards harder problems more steeply
+  'hard-heavy': {
+    description: 'Lifetime solves weighted 1/3/5 by difficulty plus commits',
+    difficultyWeights: { easy: 1, medium: 3, hard: 5 },
+    commitWeights: { total: 1, weekly: 2, monthly: 0.5 },
+    ratingWeights: { solved: 1, rating: 0.1 }
+  },
+  // Ignores lifetime totals and only counts recent GitHub activity
+  'activity-only': {
+    description: 'Only commits made in the last week and month',
+    difficultyWeights: { easy: 0, medium: 0, hard: 0 },
+    commitWeights: { total: 0, weekly: 2, monthly: 0.5 },
+    ratingWeights: { solved: 0, rating: 0 }
+  },
+  // Only progress made since the session started (needs the session start snapshot)
+  'session-delta': {
+    description: 'Problems solved, commits made and rating gained since the session started',
+    difficultyWeights: { easy: 1, medium: 2, hard: 3 },
+    commitWeights: { total: 1, weekly: 0, monthly: 0 },
+    ratingWeights: { solved: 1, rating: 0.1 },
+    usesBaseline: true
+  }
+};
+
+export const DEFAULT_STRATEGY = 'classic';
+
+const WEIGHT_MAX = 100;
+
+// Providers scored through weightLeetCode/weightGitHub; any other provider's weight lives in
+// settings.leaderboard.providerWeights and defaults to 0, so rooms opt in to newer providers
+const LEGACY_WEIGHT_KEYS = {
+  leetcode: 'weightLeetCode',
+  github: 'weightGitHub'
+};
+
+// Plain object from a Mongoose Map or object
+const toPlainObject = (value) => value instanceof Map ? Object.fromEntries(value) : { ...value };
+
+// Only keep weights the room actually set, so strategy defaults fill the rest
+const definedWeights = (weights = {}) => Object.fromEntries(
+  Object.entries(weights).filter(([, value]) => typeof value === 'number')
+);
+
+// Effective strategy and weights for a room's leaderboard settings
+export const resolveScoringConfig = (leaderboardSettings = {}) => {
+  const strategyName = SCORING_STRATEGIES[leaderboardSettings.strategy] ? leaderboardSettings.strategy : DEFAULT_STRATEGY;
+  const strategy = SCORING_STRATEGIES[strategyName];
+  const weightLeetCode = leaderboardSettings.weightLeetCode ?? 0.6;
+  const weightGitHub = leaderboardSettings.weightGitHub ?? 0.4;
+  
+  return {
+    strategy: strategyName,
+    usesBaseline: !!strategy.usesBaseline,
+    weightLeetCode,
+    weightGitHub,
+    providerWeights: {
+      ...definedWeights(toPlainObject(leaderboardSettings.providerWeights)),
+      leetcode: weightLeetCode,
+      github: weightGitHub
+    },
+    difficultyWeights: { ...strategy.difficultyWeights, ...definedWeights(leaderboardSettings.difficultyWeights) },
+    commitWeights: { ...strategy.commitWeights, ...definedWeights(leaderboardSettings.commitWeights) },
+    ratingWeights: { ...strategy.ratingWeights, ...definedWeights(leaderboardSettings.ratingWeights) }
+  };
+};
+
+// LeetCode points for stored stats ({ easy, medium, hard })
+export const calculateLeetCodeScore = (leetcodeStats, difficultyWeights = SCORING_STRATEGIES.classic.difficultyWeights) => {
+  if (!leetcodeStats) return 0;
+  
+  return ((leetcodeStats.easy || 0) * difficultyWeights.easy) + 
+         ((leetcodeStats.medium || 0) * difficultyWeights.medium) + 
+         ((leetcodeStats.hard || 0) * difficultyWeights.hard);
+};
+
+// GitHub points for stored stats ({ totalCommits, weeklyCommits, monthlyCommits })
+export const calculateGitHubScore = (githubStats, commitWeights = SCORING_STRATEGIES.classic.commitWeights) => {
+  if (!githubStats) return 0;
+  
+  return ((githubStats.totalCommits || 0) * commitWeights.total) + 
+         ((githubStats.weeklyCommits || 0) * commitWeights.weekly) + 
+         ((githubStats.monthlyCommits || 0) * commitWeights.monthly);
+};
+
+// Points for rating-based providers (Codeforces, AtCoder): stored stats ({ rating, solved })
+export const calculateRatingScore = (ratingStats, ratingWeights = SCORING_STRATEGIES.classic.ratingWeights) => {
+  if (!ratingStats) return 0;
+  
+  return ((ratingStats.solved || 0) * ratingWeights.solved) + 
+         ((ratingStats.rating || 0) * ratingWeights.rating);
+};
+
+// Provider id -> points for its stats under a config; unlisted providers are rating-based
+const PROVIDER_SCORERS = {
+  leetcode: (stats, config) => calculateLeetCodeScore(stats, config.difficultyWeights),
+  github: (stats, config) => calculateGitHubScore(stats, config.commitWeights)
+};
+const scoreProvider = (provider, stats, config) => 
+  (PROVIDER_SCORERS[provider] || ((values) => calculateRatingScore(values, config.ratingWeights)))(stats, config);
+
+// Progress since a baseline snapshot; counters never count as negative progress.
+// A provider missing from the baseline (linked after the start) has made no progress yet.
+const deltaStats = (stats = {}, baseline) => {
+  const diff = (value, start) => Math.max(0, (value || 0) - (start || 0));
+  
+  return Object.fromEntries(Object.entries(stats).map(([provider, values]) => {
+    const start = baseline?.[provider];
+    const delta = Object.fromEntries(Object.entries(values || {})
+      .filter(([, value]) => typeof value === 'number')
+      .map(([field, value]) => [field, start ? diff(value, start[field]) : 0]));
+    
+    // Rolling commit windows have no meaningful delta
+    if (provider === 'github') {
+      delta.weeklyCommits = 0;
+      delta.monthlyCommits = 0;
+    }
+    return [provider, delta];
+  }));
+};
+
+// Score one participant's stats (provider -> stats). `baseline` (auth0Id -> start snapshot entry)
+// is required for baseline strategies; participants without a baseline entry score zero.
+// providerScores holds the unweighted points of every provider with a non-zero weight.
+export const scoreStats = (stats, config, { auth0Id, baseline } = {}) => {
+  if (!stats) {
+    return { leetcodeScore: 0, githubScore: 0, providerScores: {}, totalScore: 0 };
+  }
+  
+  let scoredStats = stats;
+  if (config.usesBaseline) {
+    const start = baseline?.get(auth0Id);
+    if (!start) {
+      return { leetcodeScore: 0, githubScore: 0, providerScores: {}, totalScore: 0 };
+    }
+    scoredStats = deltaStats(stats, start);
+  }
+  
+  const providerWeights = config.providerWeights || { leetcode: config.weightLeetCode, github: config.weightGitHub };
+  const providerScores = {};
+  let totalScore = 0;
+  
+  for (const [provider, values] of Object.entries(scoredStats)) {
+    const weight = providerWeights[provider] || 0;
+    if (!values || weight <= 0) continue;
+    
+    const score = scoreProvider(provider, values, config);
+    providerScores[provider] = Math.round(score);
+    totalScore += score * weight;
+  }
+  
+  return {
+    leetcodeScore: providerScores.leetcode || 0,
+    githubScore: providerScores.github || 0,
+    providerScores,
+    totalScore: Math.round(totalScore)
+  };
+};
+
+// Validate leaderboard settings from a request body.
+// Returns { updates } with dotted paths for room.set(), or { error }.
+export const parseLeaderboardSettings = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'settings.leaderboard must be an object' };
+  }
+  
+  const updates = {};
+  
+  if (input.strategy !== undefined) {
+    if (!SCORING_STRATEGIES[input.strategy]) {
+      return { error: `Unknown scoring strategy. Available: ${Object.keys(SCORING_STRATEGIES).join(', ')}` };
+    }
+    updates['settings.leaderboard.strategy'] = input.strategy;
+  }
+  
+  for (const key of ['enabled', 'autoUpdate', 'excludeUnverified', 'requireVerifiedAccounts']) {
+    if (input[key] !== undefined) {
+      updates[`settings.leaderboard.${key}`] = !!input[key];
+    }
+  }
+  
+  for (const key of ['weightLeetCode', 'weightGitHub']) {
+    if (input[key] !== undefined) {
+      const value = Number(input[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        return { error: `${key} must be a number between 0 and 1` };
+      }
+      updates[`settings.leaderboard.${key}`] = value;
+    }
+  }
+  
+  // Weights keyed by provider id; leetcode and github are stored as weightLeetCode/weightGitHub
+  if (input.providerWeights !== undefined) {
+    if (!input.providerWeights || typeof input.providerWeights !== 'object') {
+      return { error: 'providerWeights must be an object of provider -> weight' };
+    }
+    
+    for (const [provider, weight] of Object.entries(input.providerWeights)) {
+      if (!PROVIDERS[provider]) {
+        return { error: `Unknown provider "${provider}". Available: ${PROVIDER_IDS.join(', ')}` };
+      }
+      
+      const path = LEGACY_WEIGHT_KEYS[provider]
+        ? `settings.leaderboard.${LEGACY_WEIGHT_KEYS[provider]}`
+        : `settings.leaderboard.providerWeights.${provider}`;
+      
+      // null resets the provider to its default weight
+      if (weight === null) {
+        updates[path] = undefined;
+        continue;
+      }
+      
+      const value = Number(weight);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        return { error: `providerWeights.${provider} must be a number between 0 and 1` };
+      }
+      updates[path] = value;
+    }
+  }
+  
+  const weightGroups = {
+    difficultyWeights: ['easy', 'medium', 'hard'],
+    commitWeights: ['total', 'weekly', 'monthly'],
+    ratingWeights: ['solved', 'rating']
+  };
+  for (const [group, keys] of Object.entries(weightGroups)) {
+    if (input[group] === undefined) continue;
+    
+    // null resets the group to the strategy defaults
+    if (input[group] === null) {
+      keys.forEach(key => { updates[`settings.leaderboard.${group}.${key}`] = undefined; });
+      continue;
+    }
+    
+    for (const key of keys) {
+      if (input[group][key] === undefined) continue;
+      const value = Number(input[group][key]);
+      if (!Number.isFinite(value) || value < 0 || value > WEIGHT_MAX) {
+        return { error: `${group}.${key} must be a number between 0 and ${WEIGHT_MAX}` };
+      }
+      updates[`settings.leaderboard.${group}.${key}`] = value;
+    }
+  }
+  
+  return { updates };
+};
@@ -0,0 +1,194 @@
+// Session lifecycle - time limits, completion and the completion scheduler
+import Room from '../models/Room.js';
+import { computeLeaderboard } from './leaderboardService.js';
+import { roomEvents } from './roomEvents.js';
+import { resultsService } from './resultsService.js';
+import { submissionService } from './submissionService.js';
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Pending completion timers for this process, keyed by room ID
+const timers = new Map();
+let sweepInterval = null;
+
+// Pending completions for this process, keyed by room ID
+const completions = new Map();
+
+// Claim the session first so only one caller (across processes) fetches stats and freezes results
+const finishSession = async (room, { reason, endedBy }) => {
+  const now = new Date();
+  const update = {
+    status: 'completed',
+    'session.endedAt': now,
+    'session.endedBy': endedBy,
+    'session.endReason': reason,
+    lastActivity: now
+  };
+  
+  // Close the round that was running when the session ended
+  const running = room.rounds?.[room.currentRound];
+  if (running && !running.endTime) {
+    update[`rounds.${room.currentRound}.endTime`] = now;
+  }
+  
+  // Conditional update so the timer, the sweep and lazy reads can't complete a room twice
+  const completed = await Room.findOneAndUpdate(
+    { _id: room._id, status: 'active' },
+    { $set: update },
+    { new: true }
+  );
+  
+  sessionService.cancelCompletion(room._id);
+  
+  if (!completed) {
+    return null;
+  }
+  
+  console.log(`🏁 Session completed for room ${completed.name} (${reason})`);
+  
+  try {
+    await resultsService.refreshParticipantStats(completed);
+  } catch (error) {
+    console.error('Error refreshing stats at session end:', error);
+  }
+  
+  // Until this is stored, reads of the completed room fall back to the live leaderboard
+  let finalLeaderboard = null;
+  try {
+    finalLeaderboard = await computeLeaderboard(completed);
+    await Room.updateOne({ _id: completed._id }, { $set: { 'session.finalLeaderboard': finalLeaderboard } });
+    completed.session.finalLeaderboard = finalLeaderboard;
+  } catch (error) {
+    console.error('Error freezing final leaderboard:', error);
+  }
+  
+  try {
+    await resultsService.recordSessionEnd(completed);
+  } catch (error) {
+    console.error('Error recording session results:', error);
+  }
+  roomEvents.publish(completed._id, 'session:completed', {
+    reason,
+    endedBy,
+    leaderboard: finalLeaderboard,
+    room: completed
+  });
+  
+  return completed;
+};
+
+export const sessionService = {
+  // Start the session clock for a room (caller saves the room)
+  beginSession: (room, now = new Date()) => {
+    room.status = 'active';
+    room.session = {
+      startedAt: now,
+      endsAt: new Date(now.getTime() + room.settings.timeLimit * 60 * 1000),
+      endedAt: null,
+      endedBy: null,
+      endReason: null
+    };
+  },
+
+  // Mark an active room as completed and freeze its leaderboard.
+  // Returns the completed room, or null if another request completed it first.
+  // Concurrent calls in this process share one completion.
+  completeSession: (room, options) => {
+    const key = String(room._id);
+    if (!completions.has(key)) {
+      completions.set(key, finishSession(room, options).finally(() => completions.delete(key)));
+    }
+    return completions.get(key);
+  },
+  
+  // Lazy check for serverless deployments: complete the room on read if its time is up
+  completeIfExpired: async (room) => {
+    if (!room || !room.isSessionExpired()) {
+      return room;
+    }
+    
+    const completed = await sessionService.completeSession(room, { reason: 'time_limit', endedBy: 'system' });
+    return completed || await Room.findById(room._id);
+  },
+
+  // Schedule an in-process timer that completes the room when its time limit passes
+  scheduleCompletion: (room) => {
+    if (room.status !== 'active' || !room.session?.endsAt) return;
+    
+    sessionService.cancelCompletion(room._id);
+    
+    const delay = Math.max(0, room.session.endsAt.getTime() - Date.now());
+    const timer = setTimeout(async () => {
+      timers.delete(String(room._id));
+      try {
+        const latest = await Room.findById(room._id);
+        await sessionService.completeIfExpired(latest);
+      } catch (error) {
+        console.error('Error completing timed session:', error);
+      }
+    }, delay);
+    
+    // Don't keep the process alive just for a pending session timer
+    timer.unref?.();
+    timers.set(String(room._id), timer);
+  },
+
+  cancelCompletion: (roomId) => {
+    const key = String(roomId);
+    if (timers.has(key)) {
+      clearTimeout(timers.get(key));
+      timers.delete(key);
+    }
+  },
+
+  // Complete every active room whose time limit has already passed
+  completeExpiredSessions: async () => {
+    const expired = await Room.find({
+      status: 'active',
+      isActive: true,
+      'session.endsAt': { $lte: new Date() }
+    });
+    
+    for (const room of expired) {
+      await sessionService.completeSession(room, { reason: 'time_limit', endedBy: 'system' });
+    }
+    return expired.length;
+  },
+
+  // Rebuild timers from the database (after a restart) and start the periodic sweep
+  startScheduler: async ({ sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) => {
+    const completedCount = await sessionService.completeExpiredSessions();
+    
+    const running = await Room.find({
+      status: 'active',
+      isActive: true,
+      'session.endsAt': { $gt: new Date() }
+    });
+    running.forEach(room => sessionService.scheduleCompletion(room));
+    
+    console.log(`⏱️ Session scheduler started: ${running.length} timers restored, ${completedCount} overdue sessions completed`);
+    
+    // The sweep catches sessions started by other instances and any missed timers,
+    // and picks up accepted LeetCode submissions for running rounds
+    if (!sweepInterval) {
+      sweepInterval = setInterval(() => {
+        sessionService.completeExpiredSessions()
+          .then(() => submissionService.detectSolvesInActiveRooms())
+          .catch(error => {
+            console.error('Error sweeping sessions:', error);
+          });
+      }, sweepIntervalMs);
+      sweepInterval.unref?.();
+    }
+  },
+
+  stopScheduler: () => {
+    if (sweepInterval) {
+      clearInterval(sweepInterval);
+      sweepInterval = null;
+    }
+    for (const roomId of timers.keys()) {
+      sessionService.cancelCompletion(roomId);
+    }
+  }
+};
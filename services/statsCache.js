@@ -0,0 +1,139 @@
+// Shared stats cache for GitHub and LeetCode lookups.
+// In-memory first, Mongo-backed so serverless instances share entries, with stale-while-revalidate.
+import mongoose from 'mongoose';
+import process from 'process';
+import StatsCache from '../models/StatsCache.js';
+
+const DEFAULT_TTL_SECONDS = {
+  github: 10 * 60,
+  leetcode: 15 * 60
+};
+const DEFAULT_STALE_SECONDS = 24 * 60 * 60;
+
+const memory = new Map();   // key -> { data, fetchedAt }
+const inflight = new Map(); // key -> pending fetch, so concurrent misses share one request
+
+const cacheKey = (provider, username) => `${provider}:${String(username).toLowerCase()}`;
+
+// TTLs are read per call because dotenv runs after module imports
+const getTtlSeconds = (provider) => {
+  const configured = parseInt(process.env[`STATS_CACHE_TTL_${provider.toUpperCase()}`]);
+  return Number.isFinite(configured) ? configured : (DEFAULT_TTL_SECONDS[provider] ?? DEFAULT_TTL_SECONDS.github);
+};
+
+const getStaleSeconds = () => {
+  const configured = parseInt(process.env.STATS_CACHE_STALE_SECONDS);
+  return Number.isFinite(configured) ? configured : DEFAULT_STALE_SECONDS;
+};
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+const loadEntry = async (provider, username) => {
+  const key = cacheKey(provider, username);
+  const cached = memory.get(key);
+  if (cached && (Date.now() - cached.fetchedAt.getTime()) / 1000 < getTtlSeconds(provider)) {
+    return cached;
+  }
+  
+  // Another instance may have refreshed the entry since this one cached it
+  if (!isDatabaseReady()) return cached || null;
+  
+  try {
+    const doc = await StatsCache.findOne({ provider, username: String(username).toLowerCase() }).lean();
+    if (!doc || (cached && cached.fetchedAt >= new Date(doc.fetchedAt))) {
+      return cached || null;
+    }
+    
+    const entry = { data: doc.data, fetchedAt: new Date(doc.fetchedAt) };
+    memory.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.error('Stats cache read failed:', error.message);
+    return cached || null;
+  }
+};
+
+const storeEntry = async (provider, username, data) => {
+  const fetchedAt = new Date();
+  const entry = { data, fetchedAt };
+  memory.set(cacheKey(provider, username), entry);
+  
+  if (isDatabaseReady()) {
+    try {
+      const expiresAt = new Date(fetchedAt.getTime() + (getTtlSeconds(provider) + getStaleSeconds()) * 1000);
+      await StatsCache.findOneAndUpdate(
+        { provider, username: String(username).toLowerCase() },
+        { data, fetchedAt, expiresAt },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Stats cache write failed:', error.message);
+    }
+  }
+  return entry;
+};
+
+// Fetch fresh data and store it when the fetcher's result is cacheable
+const revalidate = (provider, username, fetcher, isCacheable) => {
+  const key = cacheKey(provider, username);
+  if (inflight.has(key)) {
+    return inflight.get(key);
+  }
+  
+  const pending = (async () => {
+    try {
+      const data = await fetcher();
+      if (isCacheable(data)) {
+        await storeEntry(provider, username, data);
+      }
+      return data;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  
+  inflight.set(key, pending);
+  return pending;
+};
+
+const cacheMeta = ({ hit, stale = false, fetchedAt = new Date(), provider }) => ({
+  hit,
+  stale,
+  fetchedAt,
+  ageSeconds: Math.max(0, Math.round((Date.now() - fetchedAt.getTime()) / 1000)),
+  ttlSeconds: getTtlSeconds(provider)
+});
+
+export const statsCache = {
+  // Return cached data for provider/username, fetching when missing or expired.
+  // Stale entries are served immediately while a background fetch refreshes them.
+  // Resolves to { data, cache } where cache describes hit/stale/age.
+  // Pass waitForRefresh to await the refresh of a stale entry instead (background jobs).
+  getOrFetch: async (provider, username, fetcher, { isCacheable = () => true, forceRefresh = false, waitForRefresh = false } = {}) => {
+    const entry = forceRefresh ? null : await loadEntry(provider, username);
+    const ageSeconds = entry ? (Date.now() - entry.fetchedAt.getTime()) / 1000 : Infinity;
+    const ttl = getTtlSeconds(provider);
+    
+    if (entry && ageSeconds < ttl) {
+      return { data: entry.data, cache: cacheMeta({ hit: true, fetchedAt: entry.fetchedAt, provider }) };
+    }
+    
+    if (entry && ageSeconds < ttl + getStaleSeconds() && !waitForRefresh) {
+      revalidate(provider, username, fetcher, isCacheable).catch(error => {
+        console.error(`Background ${provider} refresh failed for ${username}:`, error.message);
+      });
+      return { data: entry.data, cache: cacheMeta({ hit: true, stale: true, fetchedAt: entry.fetchedAt, provider }) };
+    }
+    
+    const data = await revalidate(provider, username, fetcher, isCacheable);
+    return { data, cache: cacheMeta({ hit: false, provider }) };
+  },
+
+  // Drop a cached entry (e.g. after a username change)
+  invalidate: async (provider, username) => {
+    memory.delete(cacheKey(provider, username));
+    if (isDatabaseReady()) {
+      await StatsCache.deleteOne({ provider, username: String(username).toLowerCase() });
+    }
+  }
+};
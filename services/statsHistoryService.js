@@ -0,0 +1,134 @@
+// Historical stats - snapshots written on every provider fetch, and time series built from them.
+// Snapshots expire after a retention period (see models/StatsSnapshot.js); series need MongoDB 5.0+ for $dateTrunc.
+import mongoose from 'mongoose';
+import StatsSnapshot from '../models/StatsSnapshot.js';
+
+const FIELDS = {
+  leetcode: ['total', 'easy', 'medium', 'hard'],
+  github: ['totalCommits', 'weeklyCommits', 'monthlyCommits'],
+  codeforces: ['rating', 'maxRating', 'solved'],
+  atcoder: ['rating', 'maxRating', 'solved']
+};
+
+// Counters whose growth between buckets is meaningful (rating drops count as no growth)
+const DELTA_FIELDS = {
+  leetcode: ['total', 'easy', 'medium', 'hard'],
+  github: ['totalCommits'],
+  codeforces: ['rating', 'solved'],
+  atcoder: ['rating', 'solved']
+};
+
+const pickFields = (provider, values = {}) => Object.fromEntries(
+  FIELDS[provider].map(field => [field, values[field] || 0])
+);
+
+export const statsHistoryService = {
+  // Record a snapshot after a real fetch. Never throws: history must not break stats lookups.
+  recordSnapshot: async (provider, username, values) => {
+    if (mongoose.connection.readyState !== 1) return;
+    
+    try {
+      await StatsSnapshot.create({
+        provider,
+        username,
+        fetchedAt: new Date(),
+        [provider]: pickFields(provider, values)
+      });
+    } catch (error) {
+      console.error(`Failed to record ${provider} stats snapshot for ${username}:`, error.message);
+    }
+  },
+
+  // Stats as of a date: the latest snapshot at or before it, or (with fallbackToNext)
+  // the earliest one after it when history starts later
+  getStatsAt: async (provider, username, date, { fallbackToNext = false } = {}) => {
+    const filter = { provider, username: String(username).toLowerCase() };
+    
+    let snapshot = await StatsSnapshot.findOne({ ...filter, fetchedAt: { $lte: date } })
+      .sort({ fetchedAt: -1 })
+      .lean();
+    
+    if (!snapshot && fallbackToNext) {
+      snapshot = await StatsSnapshot.findOne({ ...filter, fetchedAt: { $gt: date } })
+        .sort({ fetchedAt: 1 })
+        .lean();
+    }
+    
+    return snapshot ? { ...snapshot[provider], fetchedAt: snapshot.fetchedAt } : null;
+  },
+
+  // Stats at both ends of a window for many { provider, username } pairs in one aggregation,
+  // as Map 'provider:username' (lowercase) -> { start, end }. `start` is getStatsAt(from) with
+  // fallbackToNext and `end` is getStatsAt(to); pairs without history before `to` are absent.
+  getWindowStats: async (accounts, { from, to }) => {
+    const byProvider = new Map();
+    for (const { provider, username } of accounts) {
+      if (!byProvider.has(provider)) byProvider.set(provider, new Set());
+      byProvider.get(provider).add(String(username).toLowerCase());
+    }
+    if (byProvider.size === 0) return new Map();
+    
+    // $max/$min over { fetchedAt, ... } pick the latest/earliest snapshot; nulls are ignored
+    const snapshot = { fetchedAt: '$fetchedAt', ...Object.fromEntries(Object.keys(FIELDS).map(provider => [provider, `$${provider}`])) };
+    const groups = await StatsSnapshot.aggregate([
+      {
+        $match: {
+          $or: [...byProvider].map(([provider, usernames]) => ({ provider, username: { $in: [...usernames] } })),
+          fetchedAt: { $lte: to }
+        }
+      },
+      {
+        $group: {
+          _id: { provider: '$provider', username: '$username' },
+          atStart: { $max: { $cond: [{ $lte: ['$fetchedAt', from] }, snapshot, null] } },
+          afterStart: { $min: { $cond: [{ $gt: ['$fetchedAt', from] }, snapshot, null] } },
+          end: { $max: snapshot }
+        }
+      }
+    ]);
+    
+    const toStats = (provider, doc) => doc ? { ...doc[provider], fetchedAt: doc.fetchedAt } : null;
+    return new Map(groups.map(({ _id: { provider, username }, atStart, afterStart, end }) => [
+      `${provider}:${username}`,
+      { start: toStats(provider, atStart || afterStart), end: toStats(provider, end) }
+    ]));
+  },
+
+  // Last value per day/week between from and to, plus how much each counter grew in that bucket
+  getSeries: async (provider, username, { from, to, granularity = 'day' }) => {
+    const filter = { provider, username: String(username).toLowerCase() };
+    
+    const buckets = await StatsSnapshot.aggregate([
+      { $match: { ...filter, fetchedAt: { $gte: from, $lte: to } } },
+      { $sort: { fetchedAt: 1 } },
+      {
+        // $dateTrunc requires MongoDB 5.0 or later
+        $group: {
+          _id: { $dateTrunc: { date: '$fetchedAt', unit: granularity, startOfWeek: 'monday', timezone: 'UTC' } },
+          values: { $last: `$${provider}` },
+          fetchedAt: { $last: '$fetchedAt' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    // Growth in the first bucket is measured from the last snapshot before the window
+    let previous = await statsHistoryService.getStatsAt(provider, username, from);
+    
+    return buckets.map(bucket => {
+      const values = pickFields(provider, bucket.values);
+      const delta = Object.fromEntries(DELTA_FIELDS[provider].map(field => [
+        field,
+        previous ? Math.max(0, values[field] - (previous[field] || 0)) : 0
+      ]));
+      previous = values;
+      
+      return {
+        period: bucket._id,
+        lastFetchedAt: bucket.fetchedAt,
+        ...values,
+        delta
+      };
+    });
+  }
+};
@@ -0,0 +1,163 @@
+// Background stats refresh for rooms with settings.leaderboard.autoUpdate enabled
+import process from 'process';
+import Room from '../models/Room.js';
+import { githubClient } from './githubClient.js';
+import { userStatsService } from './userStatsService.js';
+import { PROVIDERS, PROVIDER_IDS } from './providerRegistry.js';
+import { applyLeaderboardScores } from './leaderboardService.js';
+import { roomEvents } from './roomEvents.js';
+
+const DEFAULT_MAX_USERS_PER_RUN = 50;
+const DEFAULT_REQUEST_DELAY_MS = 500;
+const GITHUB_QUOTA_RESERVE = 5; // Leave some quota for interactive requests
+
+let running = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read per run because dotenv runs after module imports
+const getRunOptions = () => ({
+  maxUsers: parseInt(process.env.STATS_REFRESH_MAX_USERS) || DEFAULT_MAX_USERS_PER_RUN,
+  delayMs: parseInt(process.env.STATS_REFRESH_DELAY_MS) || DEFAULT_REQUEST_DELAY_MS
+});
+
+// Buckets a GitHub stats lookup draws from
+const githubResources = () => process.env.GITHUB_TOKEN ? ['graphql'] : ['search', 'core'];
+
+// Only GitHub lookups draw from a quota we can check up front
+const QUOTA_CHECKS = {
+  github: () => githubClient.hasQuota(githubResources(), GITHUB_QUOTA_RESERVE)
+};
+
+const perProvider = (create) => Object.fromEntries(PROVIDER_IDS.map(provider => [provider, create()]));
+
+// When a provider's stats were last fetched or last failed to fetch (0 if never)
+const lastAttempt = (stats) => Math.max(
+  stats?.lastUpdated ? new Date(stats.lastUpdated).getTime() : 0,
+  stats?.provenance?.failedAt ? new Date(stats.provenance.failedAt).getTime() : 0
+);
+
+// Distinct usernames across the given accounts (case-insensitive), least recently attempted first,
+// so the per-run budget works through everyone over successive runs
+const collectUsernames = (accounts) => {
+  const usernames = new Map();
+  
+  for (const account of accounts.values()) {
+    for (const provider of PROVIDER_IDS) {
+      const username = account.profiles[provider];
+      if (!username) continue;
+      
+      const id = `${provider}:${username.toLowerCase()}`;
+      const attemptedAt = lastAttempt(account.stats[provider]);
+      const existing = usernames.get(id);
+      if (!existing || attemptedAt < existing.attemptedAt) {
+        usernames.set(id, { provider, key: username.toLowerCase(), username, attemptedAt });
+      }
+    }
+  }
+  return [...usernames.values()].sort((a, b) => a.attemptedAt - b.attemptedAt);
+};
+
+export const statsRefreshService = {
+  // Refresh stats for every active participant of auto-updating rooms.
+  // Each distinct username is fetched once per run and each user's stats are written once,
+  // however many rooms they are in.
+  runOnce: async () => {
+    if (running) {
+      return { skipped: true, reason: 'A refresh is already running' };
+    }
+    running = true;
+    
+    const startedAt = Date.now();
+    const { maxUsers, delayMs } = getRunOptions();
+    const summary = { rooms: 0, fetched: perProvider(() => 0), failed: [], deferred: 0, usersUpdated: 0, roomsUpdated: 0 };
+    
+    try {
+      const rooms = await Room.find({
+        isActive: true,
+        status: { $in: ['waiting', 'active'] },
+        'settings.leaderboard.autoUpdate': true
+      });
+      summary.rooms = rooms.length;
+      
+      const accounts = await userStatsService.getAccounts(
+        rooms.flatMap(room => room.participants.filter(p => p.isActive).map(p => p.auth0Id))
+      );
+      const usernames = collectUsernames(accounts);
+      const results = perProvider(() => new Map());
+      const failures = perProvider(() => new Map());
+      
+      // Fresh cache entries are free; only real requests count against the per-run budget
+      let budget = maxUsers;
+      for (const { provider, key, username } of usernames) {
+        const hasQuota = QUOTA_CHECKS[provider] || (() => true);
+        if (budget <= 0 || !hasQuota()) {
+          summary.deferred++;
+          continue;
+        }
+        
+        let stats;
+        try {
+          const result = await PROVIDERS[provider].getUserStats(username, { waitForRefresh: true, waitForQuota: true });
+          stats = result.error ? { failed: true, reason: result.error } : result;
+        } catch (error) {
+          stats = { failed: true, reason: error.message };
+        }
+        
+        if (stats.failed) {
+          failures[provider].set(key, stats.reason);
+          summary.failed.push(`${provider}:${username}: ${stats.reason}`);
+        } else {
+          results[provider].set(key, stats);
+          summary.fetched[provider]++;
+        }
+        
+        if (stats.failed || stats.cache?.hit === false) {
+          budget--;
+          await sleep(delayMs);
+        }
+      }
+      
+      // Store the results once per user; failed providers keep their last known values
+      const updatesByUser = new Map();
+      for (const [auth0Id, account] of accounts) {
+        const updates = {};
+        const failed = {};
+        for (const provider of PROVIDER_IDS) {
+          const key = account.profiles[provider].toLowerCase();
+          const stats = results[provider].get(key)?.stats;
+          if (stats) updates[provider] = stats;
+          if (failures[provider].has(key)) failed[provider] = failures[provider].get(key);
+        }
+        if (Object.keys(updates).length === 0 && Object.keys(failed).length === 0) continue;
+        
+        await userStatsService.saveStats(auth0Id, updates, failed);
+        if (Object.keys(updates).length > 0) {
+          updatesByUser.set(auth0Id, updates);
+        }
+      }
+      summary.usersUpdated = updatesByUser.size;
+      
+      // Re-score every room with an updated participant
+      for (const room of rooms) {
+        const updates = room.participants
+          .filter(p => p.isActive && updatesByUser.has(p.auth0Id))
+          .map(p => ({ name: p.name, updates: updatesByUser.get(p.auth0Id) }));
+        
+        if (updates.length === 0) continue;
+        
+        await applyLeaderboardScores(room);
+        await room.save();
+        summary.roomsUpdated++;
+        roomEvents.publish(room._id, 'leaderboard:refreshed', { updates, automatic: true });
+      }
+      
+      summary.durationMs = Date.now() - startedAt;
+      const fetched = Object.values(PROVIDERS).map(provider => `${summary.fetched[provider.id]} ${provider.name}`).join(', ');
+      console.log(`🔄 Stats refresh: ${fetched}, ${summary.roomsUpdated}/${summary.rooms} rooms updated, ${summary.deferred} deferred, ${summary.failed.length} failed`);
+      return summary;
+    } finally {
+      running = false;
+    }
+  }
+};
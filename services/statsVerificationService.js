@@ -0,0 +1,89 @@
+// Verification of client-reported stats against the server's own (cached) fetch
+import process from 'process';
+import StatsFlag from '../models/StatsFlag.js';
+
+const FIELDS = {
+  github: ['totalCommits', 'weeklyCommits', 'monthlyCommits'],
+  leetcode: ['easy', 'medium', 'hard', 'total']
+};
+
+const DEFAULT_TOLERANCE_ABSOLUTE = 2;
+const DEFAULT_TOLERANCE_RATIO = 0.02;
+
+// Read per call because dotenv runs after module imports
+const getTolerance = () => {
+  const absolute = parseFloat(process.env.STATS_CLIENT_TOLERANCE_ABSOLUTE);
+  const ratio = parseFloat(process.env.STATS_CLIENT_TOLERANCE_RATIO);
+  return {
+    absolute: Number.isFinite(absolute) && absolute >= 0 ? absolute : DEFAULT_TOLERANCE_ABSOLUTE,
+    ratio: Number.isFinite(ratio) && ratio >= 0 ? ratio : DEFAULT_TOLERANCE_RATIO
+  };
+};
+
+// Only the known counters, as non-negative integers; null if any is missing or malformed
+const sanitize = (provider, input) => {
+  if (!input || typeof input !== 'object') return null;
+  
+  const stats = {};
+  for (const field of FIELDS[provider]) {
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < 0) return null;
+    stats[field] = value;
+  }
+  return stats;
+};
+
+export const statsVerificationService = {
+  // Compare client-reported stats with the server's values; only the server's values are stored.
+  // Returns { accepted, flagged, reason, mismatches, stats }. Stats that can't be checked
+  // against a server fetch, or that differ from it by more than the tolerance, are flagged.
+  verify: (provider, clientStats, serverStats) => {
+    const stats = sanitize(provider, clientStats);
+    if (!stats) {
+      return { accepted: false, flagged: true, reason: 'invalid', mismatches: [] };
+    }
+    if (!serverStats) {
+      return { accepted: false, flagged: true, reason: 'unverifiable', mismatches: [] };
+    }
+    
+    const { absolute, ratio } = getTolerance();
+    const mismatches = FIELDS[provider].filter(field => {
+      const expected = serverStats[field] || 0;
+      return Math.abs(stats[field] - expected) > Math.max(absolute, expected * ratio);
+    });
+    
+    if (mismatches.length > 0) {
+      return { accepted: false, flagged: true, reason: 'out_of_tolerance', mismatches };
+    }
+    
+    return { accepted: true, flagged: false, reason: null, mismatches: [], stats };
+  },
+
+  // Persist a flagged update for review. Never throws: flagging must not fail the request.
+  recordFlag: async ({ room, participant, provider, username, submitted, server, verdict }) => {
+    try {
+      return await StatsFlag.create({
+        room: room._id,
+        auth0Id: participant.auth0Id,
+        name: participant.name,
+        provider,
+        username,
+        reason: verdict.reason,
+        mismatches: verdict.mismatches,
+        submitted,
+        server
+      });
+    } catch (error) {
+      console.error(`Failed to record ${provider} stats flag for ${participant.auth0Id}:`, error.message);
+      return null;
+    }
+  },
+
+  // Recent flags for a room, newest first
+  getRoomFlags: async (roomId, { limit = 50 } = {}) => {
+    return StatsFlag.find({ room: roomId })
+      .select('-__v')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+};
@@ -0,0 +1,169 @@
+// Session submissions - recording solves and the session leaderboard
+import Submission from '../models/Submission.js';
+import User from '../models/User.js';
+import Room from '../models/Room.js';
+import { leetcodeAPI } from './leetcodeService.js';
+import { userStatsService } from './userStatsService.js';
+import { roomEvents } from './roomEvents.js';
+
+const RECENT_SUBMISSIONS_LIMIT = 20;
+
+export const submissionService = {
+  // The round a solve right now would count towards, or null when nothing is assigned
+  getActiveRound: (room) => {
+    const round = room.rounds?.[room.currentRound];
+    if (round) {
+      // endsAt is when the round closed, or its deadline while it runs
+      return { index: room.currentRound, problem: round.problem, startTime: round.startTime, endsAt: round.endTime || round.endsAt || null };
+    }
+    return null;
+  },
+
+  // Record a solve for the participant's current round and count it on their profile.
+  // Returns null if they already solved this round.
+  recordSolve: async (room, participant, { language, code = '', link = '', solvedAt = new Date(), source, externalId }) => {
+    const round = submissionService.getActiveRound(room);
+    if (!round) {
+      throw new Error('No problem is currently assigned');
+    }
+    
+    const existing = await Submission.exists({ room: room._id, auth0Id: participant.auth0Id, round: round.index });
+    if (existing) {
+      return null;
+    }
+    
+    let submission;
+    try {
+      submission = await Submission.create({
+        room: room._id,
+        auth0Id: participant.auth0Id,
+        name: participant.name,
+        picture: participant.picture || '',
+        round: round.index,
+        problem: {
+          title: round.problem.title,
+          slug: round.problem.slug || '',
+          difficulty: round.problem.difficulty || ''
+        },
+        ...(source ? { source } : {}),
+        ...(externalId ? { externalId } : {}),
+        language,
+        code,
+        link,
+        solvedAt,
+        solveTimeMs: Math.max(0, solvedAt.getTime() - new Date(round.startTime).getTime())
+      });
+    } catch (error) {
+      // Lost a race with a concurrent submission for the same round
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+    
+    await User.findOneAndUpdate(
+      { auth0Id: participant.auth0Id },
+      { $inc: { 'stats.totalProblemsCompleted': 1 } }
+    );
+    
+    return submission;
+  },
+
+  // Rank participants by rounds solved, then by total solve time (fastest first)
+  buildSessionLeaderboard: async (room) => {
+    const submissions = await Submission.find({ room: room._id, status: 'solved' });
+    
+    const entries = new Map(
+      room.participants
+        .filter(p => p.isActive !== false)
+        .map(p => [p.auth0Id, {
+          auth0Id: p.auth0Id,
+          name: p.name,
+          picture: p.picture,
+          solvedCount: 0,
+          totalSolveTimeMs: 0,
+          solvedRounds: []
+        }])
+    );
+    
+    for (const submission of submissions) {
+      const entry = entries.get(submission.auth0Id);
+      if (!entry) continue; // Participant has left the room
+      entry.solvedCount += 1;
+      entry.totalSolveTimeMs += submission.solveTimeMs;
+      entry.solvedRounds.push(submission.round);
+    }
+    
+    return [...entries.values()]
+      .sort((a, b) => b.solvedCount - a.solvedCount || a.totalSolveTimeMs - b.totalSolveTimeMs)
+      .map((entry, index) => ({
+        ...entry,
+        solvedRounds: entry.solvedRounds.sort((a, b) => a - b),
+        rank: index + 1
+      }));
+  },
+
+  // Record solves for participants whose recent accepted LeetCode submissions include the
+  // current round's problem while the round was running. Only LeetCode accounts verified as the
+  // participant's own are checked, so nobody is credited with someone else's accepts.
+  // Returns the new submissions.
+  detectLeetCodeSolves: async (room) => {
+    const round = submissionService.getActiveRound(room);
+    if (room.status !== 'active' || !round?.problem.slug || !round.startTime) {
+      return [];
+    }
+    
+    const solvedIds = new Set(
+      (await Submission.find({ room: room._id, round: round.index }).select('auth0Id'))
+        .map(submission => submission.auth0Id)
+    );
+    const accounts = await userStatsService.getRoomAccounts(room);
+    const candidates = room.participants.filter(p => 
+      p.isActive && accounts.get(p.auth0Id)?.profiles.leetcode && accounts.get(p.auth0Id).verified.leetcode && 
+      !solvedIds.has(p.auth0Id)
+    );
+    
+    const detected = [];
+    for (const participant of candidates) {
+      const username = accounts.get(participant.auth0Id).profiles.leetcode;
+      try {
+        const recent = await leetcodeAPI.getRecentAcceptedSubmissions(username, RECENT_SUBMISSIONS_LIMIT);
+        
+        // Oldest qualifying accept counts as the solve time; accepts after the round don't count
+        const match = recent
+          .filter(s => s.titleSlug === round.problem.slug && s.timestamp >= new Date(round.startTime) && 
+            (!round.endsAt || s.timestamp <= new Date(round.endsAt)))
+          .sort((a, b) => a.timestamp - b.timestamp)[0];
+        if (!match) continue;
+        
+        const submission = await submissionService.recordSolve(room, participant, {
+          language: match.lang || 'unknown',
+          link: `https://leetcode.com/submissions/detail/${match.id}/`,
+          solvedAt: match.timestamp,
+          source: 'leetcode',
+          externalId: String(match.id)
+        });
+        
+        if (submission) {
+          console.log(`✅ Detected LeetCode solve of ${round.problem.slug} by ${participant.name}`);
+          roomEvents.publish(room._id, 'submission:created', { submission: submission.toObject({ versionKey: false }) });
+          detected.push(submission);
+        }
+      } catch (error) {
+        console.error(`LeetCode solve detection failed for ${username}:`, error.message);
+      }
+    }
+    
+    return detected;
+  },
+
+  // Run solve detection for every running session
+  detectSolvesInActiveRooms: async () => {
+    const rooms = await Room.find({ status: 'active', isActive: true, currentRound: { $gte: 0 } });
+    let detected = 0;
+    for (const room of rooms) {
+      detected += (await submissionService.detectLeetCodeSolves(room)).length;
+    }
+    return detected;
+  }
+};
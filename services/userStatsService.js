@@ -0,0 +1,178 @@
+// Linked platform accounts and their latest stats, stored once per user and shared by every room
+import User from '../models/User.js';
+import { PROVIDERS, PROVIDER_IDS } from './providerRegistry.js';
+import { accountVerificationService } from './accountVerificationService.js';
+
+// Username fields from before linkedAccounts; read for documents not yet migrated
+const LEGACY_PROFILE_FIELDS = {
+  leetcode: 'leetcodeUsername',
+  github: 'githubUsername'
+};
+
+const emptyProviderStats = (provider) => ({
+  ...Object.fromEntries(PROVIDERS[provider].fields.map(field => [field, 0])),
+  lastUpdated: null,
+  provenance: null
+});
+
+const emptyStats = () => Object.fromEntries(PROVIDER_IDS.map(provider => [provider, emptyProviderStats(provider)]));
+
+// Linked usernames of a plain user object, keyed by provider ('' when not linked)
+const getProfiles = (user) => Object.fromEntries(PROVIDER_IDS.map(provider => [
+  provider,
+  user?.linkedAccounts?.[provider] || user?.[LEGACY_PROFILE_FIELDS[provider]] || ''
+]));
+
+// Linked providers whose stored stats were never confirmed by a server fetch
+// (no provenance, e.g. migrated room copies, or nothing could ever be fetched)
+const unverifiedProviders = (account) => PROVIDER_IDS.filter(provider => 
+  account.profiles[provider] && 
+  (!account.stats[provider]?.provenance || account.stats[provider].provenance.method === 'unavailable')
+);
+
+// Room-facing view of a user (document or lean object): linked usernames, whether each is
+// verified as the user's own, and their latest stats
+const toAccount = (doc) => {
+  const user = typeof doc?.toObject === 'function' ? doc.toObject({ flattenMaps: true }) : doc;
+  return {
+    profiles: getProfiles(user),
+    stats: Object.fromEntries(PROVIDER_IDS.map(provider => [
+      provider,
+      { ...emptyProviderStats(provider), ...user?.platformStats?.[provider] }
+    ])),
+    verified: accountVerificationService.getStatus(user),
+    statsLastUpdated: user?.statsLastUpdated || null
+  };
+};
+
+export const userStatsService = {
+  toAccount,
+  getProfiles,
+  unverifiedProviders,
+
+  // Accounts for a set of users as auth0Id -> account; unknown users get empty stats
+  getAccounts: async (auth0Ids) => {
+    const ids = [...new Set(auth0Ids)];
+    const users = await User.find({ auth0Id: { $in: ids } })
+      .select('auth0Id linkedAccounts leetcodeUsername githubUsername accountVerification platformStats statsLastUpdated')
+      .lean();
+    const byId = new Map(users.map(user => [user.auth0Id, user]));
+    
+    return new Map(ids.map(auth0Id => [auth0Id, toAccount(byId.get(auth0Id))]));
+  },
+
+  // Accounts of a room's active participants
+  getRoomAccounts: async (room) => {
+    return userStatsService.getAccounts(
+      room.participants.filter(p => p.isActive !== false).map(p => p.auth0Id)
+    );
+  },
+
+  // Link (or unlink with '') platform usernames keyed by provider; only the providers given are
+  // changed. A changed username loses its ownership verification and its stored stats.
+  linkAccounts: async (auth0Id, profiles = {}) => {
+    const user = await User.findOne({ auth0Id }).lean();
+    if (!user) {
+      return null;
+    }
+    
+    const current = getProfiles(user);
+    const set = {};
+    const unset = {};
+    for (const provider of PROVIDER_IDS) {
+      if (typeof profiles[provider] !== 'string') continue;
+      
+      const username = profiles[provider].trim();
+      if (username === current[provider]) continue;
+      
+      set[`linkedAccounts.${provider}`] = username;
+      set[`platformStats.${provider}`] = emptyProviderStats(provider);
+      unset[`accountVerification.${provider}`] = '';
+      unset[`pendingVerifications.${provider}`] = '';
+      if (LEGACY_PROFILE_FIELDS[provider]) {
+        unset[LEGACY_PROFILE_FIELDS[provider]] = '';
+      }
+    }
+    
+    if (Object.keys(set).length > 0) {
+      await User.updateOne({ auth0Id }, { $set: set, $unset: unset }, { strict: false });
+    }
+    return User.findOne({ auth0Id });
+  },
+
+  // Store freshly fetched stats for the providers in `updates`. Providers in `failures`
+  // (provider -> error message) keep their last known values; only their provenance changes.
+  saveStats: async (auth0Id, updates = {}, failures = {}) => {
+    const now = new Date();
+    const previous = await User.findOne({ auth0Id }).select('platformStats').lean();
+    const set = {};
+    
+    for (const provider of PROVIDER_IDS) {
+      const stats = updates[provider];
+      if (stats) {
+        set[`platformStats.${provider}`] = {
+          ...Object.fromEntries(PROVIDERS[provider].fields.map(field => [field, stats[field] || 0])),
+          lastUpdated: stats.lastUpdated || now,
+          provenance: stats.provenance || { source: null, method: 'estimate', fetchedAt: stats.lastUpdated || now }
+        };
+      } else if (failures[provider]) {
+        const last = previous?.platformStats?.[provider];
+        set[`platformStats.${provider}`] = {
+          ...emptyProviderStats(provider),
+          ...last,
+          provenance: last?.provenance
+            ? { ...last.provenance, method: 'cached', error: failures[provider], failedAt: now }
+            : { source: null, method: 'unavailable', fetchedAt: null, error: failures[provider], failedAt: now }
+        };
+      }
+    }
+    
+    if (Object.keys(updates).some(provider => updates[provider])) {
+      set.statsLastUpdated = now;
+    }
+    if (Object.keys(set).length === 0) {
+      return toAccount(await User.findOne({ auth0Id }).lean());
+    }
+    
+    const user = await User.findOneAndUpdate({ auth0Id }, { $set: set }, { new: true }).lean();
+    return toAccount(user);
+  },
+
+  // Fetch every linked provider once. Returns provider -> stats/cache for successes and
+  // provider -> error message for failures; nothing is stored.
+  fetchAll: async (profiles, options = {}) => {
+    const updates = {};
+    const cache = {};
+    const failures = {};
+    const errors = [];
+    
+    for (const provider of Object.values(PROVIDERS)) {
+      const username = profiles[provider.id];
+      if (!username) continue;
+      
+      let result;
+      try {
+        result = await provider.getUserStats(username, options);
+      } catch (error) {
+        result = { error: error.message };
+      }
+      
+      if (result.error) {
+        failures[provider.id] = result.error;
+        errors.push(`${provider.name} stats unavailable for ${username}: ${result.error} - keeping last known values`);
+      } else {
+        updates[provider.id] = result.stats;
+        cache[provider.id] = result.cache;
+      }
+    }
+    
+    return { updates, cache, failures, errors };
+  },
+
+  // Fetch every linked provider once and store the results on the user
+  refreshUser: async (user, options = {}) => {
+    const { updates, cache, failures, errors } = await userStatsService.fetchAll(toAccount(user).profiles, options);
+    const account = await userStatsService.saveStats(user.auth0Id, updates, failures);
+    return { account, updates, cache, failures, errors };
+  }
+};
@@ -0,0 +1,183 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { exportJWK, generateKeyPair, SignJWT } from 'jose';
+import { requireAuth, optionalAuth, requireSelf } from '../middleware/auth.js';
+import { runMiddleware } from './helpers.js';
+
+const ISSUER = 'https://tests.auth0.local/';
+const AUDIENCE = 'https://api.tests.local';
+
+let tmpDir;
+let privateKey;
+let otherPrivateKey;
+
+const sign = (claims = {}, { key = privateKey, subject = 'auth0|alice', expiresIn = '5m', issuer = ISSUER } = {}) => {
+  let jwt = new SignJWT(claims)
+    .setProtectedHeader({ alg: 'RS256', kid: 'test-key' })
+    .setIssuer(issuer)
+    .setAudience(AUDIENCE)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn);
+  if (subject) {
+    jwt = jwt.setSubject(subject);
+  }
+  return jwt.sign(key);
+};
+
+const withToken = (token) => ({ headers: { authorization: `Bearer ${token}` }, params: {} });
+
+before(async () => {
+  const keys = await generateKeyPair('RS256');
+  privateKey = keys.privateKey;
+  otherPrivateKey = (await generateKeyPair('RS256')).privateKey;
+
+  const jwk = { ...(await exportJWK(keys.publicKey)), kid: 'test-key', alg: 'RS256', use: 'sig' };
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  const jwksFile = path.join(tmpDir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [jwk] }));
+
+  process.env.AUTH0_JWKS_FILE = jwksFile;
+  process.env.AUTH0_ISSUER = ISSUER;
+  process.env.AUTH0_AUDIENCE = AUDIENCE;
+});
+
+after(() => {
+  delete process.env.AUTH0_JWKS_FILE;
+  delete process.env.AUTH0_ISSUER;
+  delete process.env.AUTH0_AUDIENCE;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('requireAuth', () => {
+  test('sets req.auth from a valid token', async () => {
+    const req = withToken(await sign());
+    const { res, nextCalled } = await runMiddleware(requireAuth, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.statusCode, 200);
+    assert.equal(req.auth.auth0Id, 'auth0|alice');
+  });
+
+  test('rejects a request without a token', async () => {
+    const { res, nextCalled } = await runMiddleware(requireAuth, { headers: {} });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.success, false);
+  });
+
+  test('rejects a non-Bearer authorization header', async () => {
+    const { res, nextCalled } = await runMiddleware(requireAuth, { headers: { authorization: 'Basic abc' } });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('rejects tokens signed by another key', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const req = withToken(await sign({}, { key: otherPrivateKey }));
+    const { res, nextCalled } = await runMiddleware(requireAuth, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(req.auth, undefined);
+  });
+
+  test('rejects expired tokens', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const req = withToken(await sign({}, { expiresIn: Math.floor(Date.now() / 1000) - 60 }));
+    const { res, nextCalled } = await runMiddleware(requireAuth, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('rejects tokens from another issuer', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const req = withToken(await sign({}, { issuer: 'https://evil.example/' }));
+    const { res, nextCalled } = await runMiddleware(requireAuth, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('rejects tokens without a subject', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const req = withToken(await sign({}, { subject: null }));
+    const { res, nextCalled } = await runMiddleware(requireAuth, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('fails closed with a 500 when Auth0 is not configured', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const token = await sign();
+    const jwksFile = process.env.AUTH0_JWKS_FILE;
+    delete process.env.AUTH0_JWKS_FILE;
+    try {
+      const { res, nextCalled } = await runMiddleware(requireAuth, withToken(token));
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 500);
+    } finally {
+      process.env.AUTH0_JWKS_FILE = jwksFile;
+    }
+  });
+});
+
+describe('optionalAuth', () => {
+  test('identifies the caller when a valid token is sent', async () => {
+    const req = withToken(await sign());
+    const { nextCalled } = await runMiddleware(optionalAuth, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.auth.auth0Id, 'auth0|alice');
+  });
+
+  test('continues anonymously without a token', async () => {
+    const req = { headers: {} };
+    const { nextCalled } = await runMiddleware(optionalAuth, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.auth, undefined);
+  });
+
+  test('continues anonymously with an invalid token', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const req = withToken(await sign({}, { key: otherPrivateKey }));
+    const { res, nextCalled } = await runMiddleware(optionalAuth, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.statusCode, 200);
+    assert.equal(req.auth, undefined);
+  });
+});
+
+describe('requireSelf', () => {
+  test('allows acting on your own account', async () => {
+    const req = { auth: { auth0Id: 'auth0|alice' }, params: { auth0Id: 'auth0|alice' } };
+    const { nextCalled } = await runMiddleware(requireSelf, req);
+
+    assert.equal(nextCalled, true);
+  });
+
+  test("forbids acting on someone else's account", async () => {
+    const req = { auth: { auth0Id: 'auth0|alice' }, params: { auth0Id: 'auth0|bob' } };
+    const { res, nextCalled } = await runMiddleware(requireSelf, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('forbids unauthenticated requests', async () => {
+    const req = { params: { auth0Id: 'auth0|alice' } };
+    const { res, nextCalled } = await runMiddleware(requireSelf, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+});
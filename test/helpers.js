@@ -0,0 +1,21 @@
+// Shared fakes for route and middleware tests
+export const mockResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run an Express-style middleware and report whether it called next()
+export const runMiddleware = async (middleware, req) => {
+  const res = mockResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+};
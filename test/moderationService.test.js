@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import Room from '../models/Room.js';
+import { moderationService } from '../services/moderationService.js';
+
+const member = (auth0Id, role) => ({ auth0Id, name: auth0Id, email: `${auth0Id}@example.com`, role });
+
+const buildRoom = () => new Room({
+  name: 'Moderation',
+  roomCode: 'MOD001',
+  creator: { auth0Id: 'owner', name: 'owner', email: 'owner@example.com' },
+  participants: [
+    member('owner', 'creator'),
+    member('cohost', 'co-host'),
+    member('mod', 'moderator'),
+    member('alice', 'participant')
+  ]
+});
+
+describe('moderationService.canLift', () => {
+  test('lets a moderator lift restrictions imposed at their own rank or below', () => {
+    const room = buildRoom();
+
+    assert.equal(moderationService.canLift(room, 'mod', { auth0Id: 'banned', by: 'mod' }), true);
+    assert.equal(moderationService.canLift(room, 'cohost', { auth0Id: 'alice', by: 'mod' }), true);
+  });
+
+  test('does not let a moderator undo a higher role\'s ban or mute', () => {
+    const room = buildRoom();
+
+    assert.equal(moderationService.canLift(room, 'mod', { auth0Id: 'banned', by: 'cohost' }), false);
+    assert.equal(moderationService.canLift(room, 'mod', { auth0Id: 'alice', by: 'owner' }), false);
+  });
+
+  test('requires the actor to outrank the target', () => {
+    const room = buildRoom();
+
+    assert.equal(moderationService.canLift(room, 'mod', { auth0Id: 'cohost', by: 'owner' }), false);
+    assert.equal(moderationService.canLift(room, 'alice', { auth0Id: 'banned', by: 'alice' }), false);
+  });
+
+  test('treats restrictions imposed by someone who left as imposed by a participant', () => {
+    const room = buildRoom();
+
+    assert.equal(moderationService.canLift(room, 'mod', { auth0Id: 'banned', by: 'former-moderator' }), true);
+  });
+});
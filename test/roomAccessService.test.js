@@ -0,0 +1,163 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import Room from '../models/Room.js';
+import { roomAccessService } from '../services/roomAccessService.js';
+
+const buildRoom = (settings = {}) => new Room({
+  name: 'Access',
+  roomCode: 'ACCESS',
+  creator: { auth0Id: 'owner', name: 'owner', email: 'owner@example.com' },
+  participants: [{ auth0Id: 'owner', name: 'owner', email: 'owner@example.com', role: 'creator' }],
+  settings
+});
+
+// Resolve with the thrown error's code and reason so assertions read flat
+const denial = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return { code: error.code, reason: error.reason };
+  }
+  assert.fail('expected the join to be denied');
+};
+
+describe('room passwords', () => {
+  test('stores a salted hash, never the password', async () => {
+    const room = buildRoom();
+    await roomAccessService.setPassword(room, 'hunter22');
+
+    assert.match(room.access.passwordHash, /^[0-9a-f]{32}:[0-9a-f]{128}$/);
+    assert.ok(!room.access.passwordHash.includes('hunter22'));
+
+    const first = room.access.passwordHash;
+    await roomAccessService.setPassword(room, 'hunter22');
+    assert.notEqual(room.access.passwordHash, first);
+  });
+
+  test('admits the right password and denies a wrong or missing one', async () => {
+    const room = buildRoom();
+    await roomAccessService.setPassword(room, 'hunter22');
+
+    assert.deepEqual(await roomAccessService.checkJoin(room, { password: 'hunter22' }), { decision: 'admit', invite: null });
+    assert.deepEqual(await denial(roomAccessService.checkJoin(room, { password: 'hunter2' })),
+      { code: 'ACCESS_DENIED', reason: 'password_invalid' });
+    assert.deepEqual(await denial(roomAccessService.checkJoin(room, {})),
+      { code: 'ACCESS_DENIED', reason: 'password_required' });
+  });
+
+  test('still queues a correct password when the room requires approval', async () => {
+    const room = buildRoom({ requireApproval: true });
+    await roomAccessService.setPassword(room, 'hunter22');
+
+    assert.equal((await roomAccessService.checkJoin(room, { password: 'hunter22' })).decision, 'request');
+  });
+
+  test('clears the password with null or an empty string', async () => {
+    const room = buildRoom();
+    for (const cleared of [null, '']) {
+      await roomAccessService.setPassword(room, 'hunter22');
+      await roomAccessService.setPassword(room, cleared);
+
+      assert.equal(room.access.passwordHash, null);
+      assert.equal((await roomAccessService.checkJoin(room)).decision, 'admit');
+    }
+  });
+
+  test('rejects passwords outside the allowed length', async () => {
+    const room = buildRoom();
+
+    for (const password of ['abc', 'x'.repeat(101), 1234]) {
+      assert.equal((await denial(roomAccessService.setPassword(room, password))).code, 'ACCESS_INVALID');
+    }
+    assert.equal(room.access.passwordHash, null);
+  });
+});
+
+describe('room invites', () => {
+  test('admits a valid invite and returns it for use counting', async () => {
+    const room = buildRoom({ isPublic: false });
+    const { invite, token } = roomAccessService.createInvite(room, 'owner', { maxUses: 2 });
+
+    assert.notEqual(invite.tokenHash, token);
+    const result = await roomAccessService.checkJoin(room, { inviteToken: token });
+    assert.equal(result.decision, 'admit');
+    assert.equal(result.invite, invite);
+  });
+
+  test('lets an invite bypass the password and approval queue', async () => {
+    const room = buildRoom({ isPublic: false, requireApproval: true });
+    await roomAccessService.setPassword(room, 'hunter22');
+    const { token } = roomAccessService.createInvite(room, 'owner');
+
+    assert.equal((await roomAccessService.checkJoin(room, { inviteToken: token })).decision, 'admit');
+  });
+
+  test('denies unknown, revoked, expired and used-up invites', async () => {
+    const room = buildRoom({ isPublic: false });
+    const invalid = { code: 'ACCESS_DENIED', reason: 'invite_invalid' };
+
+    assert.deepEqual(await denial(roomAccessService.checkJoin(room, { inviteToken: 'not-a-token' })), invalid);
+
+    const revoked = roomAccessService.createInvite(room, 'owner');
+    revoked.invite.revokedAt = new Date();
+    assert.deepEqual(await denial(roomAccessService.checkJoin(room, { inviteToken: revoked.token })), invalid);
+
+    const expired = roomAccessService.createInvite(room, 'owner');
+    expired.invite.expiresAt = new Date(Date.now() - 1000);
+    assert.deepEqual(await denial(roomAccessService.checkJoin(room, { inviteToken: expired.token })), invalid);
+
+    const usedUp = roomAccessService.createInvite(room, 'owner', { maxUses: 1 });
+    usedUp.invite.uses = 1;
+    assert.deepEqual(await denial(roomAccessService.checkJoin(room, { inviteToken: usedUp.token })), invalid);
+  });
+
+  test('rejects out-of-range expiry and use limits', () => {
+    const room = buildRoom();
+
+    for (const options of [{ expiresInHours: 0 }, { expiresInHours: 24 * 31 }, { expiresInHours: 'soon' }, { maxUses: 0 }, { maxUses: 1.5 }, { maxUses: 101 }]) {
+      assert.throws(() => roomAccessService.createInvite(room, 'owner', options), { code: 'ACCESS_INVALID' });
+    }
+    assert.equal(room.access.invites.length, 0);
+  });
+
+  test('never shows the token in the invite view', () => {
+    const room = buildRoom();
+    const { invite, token } = roomAccessService.createInvite(room, 'owner');
+    const view = roomAccessService.toInviteView(invite);
+
+    assert.equal(view.active, true);
+    assert.ok(!JSON.stringify(view).includes(token));
+    assert.equal(view.tokenHash, undefined);
+  });
+});
+
+describe('joining without credentials', () => {
+  test('admits anyone to a public room', async () => {
+    assert.equal((await roomAccessService.checkJoin(buildRoom())).decision, 'admit');
+  });
+
+  test('queues joins to a private room without a password', async () => {
+    assert.equal((await roomAccessService.checkJoin(buildRoom({ isPublic: false }))).decision, 'request');
+  });
+});
+
+describe('canView', () => {
+  test('shows public rooms without a password to everyone', () => {
+    assert.equal(roomAccessService.canView(buildRoom(), null), true);
+  });
+
+  test('shows private or password-protected rooms to members only', async () => {
+    const privateRoom = buildRoom({ isPublic: false });
+    const passwordRoom = buildRoom();
+    await roomAccessService.setPassword(passwordRoom, 'hunter22');
+
+    for (const room of [privateRoom, passwordRoom]) {
+      room.participants.push({ auth0Id: 'alice', name: 'alice', email: 'alice@example.com' });
+
+      assert.equal(roomAccessService.canView(room, 'owner'), true);
+      assert.equal(roomAccessService.canView(room, 'alice'), true);
+      assert.equal(roomAccessService.canView(room, 'stranger'), false);
+      assert.equal(roomAccessService.canView(room, null), false);
+    }
+  });
+});
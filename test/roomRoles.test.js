@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import Room, { ROLE_PERMISSIONS } from '../models/Room.js';
+
+const member = (auth0Id, role, extra = {}) => ({
+  auth0Id,
+  name: auth0Id,
+  email: `${auth0Id}@example.com`,
+  role,
+  ...extra
+});
+
+const buildRoom = () => new Room({
+  name: 'Roles',
+  roomCode: 'ROLES1',
+  creator: { auth0Id: 'owner', name: 'owner', email: 'owner@example.com' },
+  participants: [
+    member('owner', 'creator'),
+    member('cohost', 'co-host'),
+    member('mod', 'moderator'),
+    member('alice', 'participant'),
+    member('bob', 'participant'),
+    member('gone', 'moderator', { isActive: false })
+  ]
+});
+
+describe('room.can', () => {
+  test('grants each role exactly its listed permissions', () => {
+    const room = buildRoom();
+    const everyPermission = new Set(Object.values(ROLE_PERMISSIONS).flat());
+
+    for (const [auth0Id, role] of [['owner', 'creator'], ['cohost', 'co-host'], ['mod', 'moderator'], ['alice', 'participant']]) {
+      for (const permission of everyPermission) {
+        assert.equal(room.can(auth0Id, permission), ROLE_PERMISSIONS[role].includes(permission), `${role} ${permission}`);
+      }
+    }
+  });
+
+  test('only the creator can delete the room, transfer it or read the audit log', () => {
+    const room = buildRoom();
+
+    for (const permission of ['deleteRoom', 'transferOwnership', 'manageRoles', 'viewAudit']) {
+      assert.equal(room.can('owner', permission), true);
+      assert.equal(room.can('cohost', permission), false);
+      assert.equal(room.can('mod', permission), false);
+    }
+  });
+
+  test('moderators can moderate but not manage the room', () => {
+    const room = buildRoom();
+
+    for (const permission of ['kick', 'ban', 'mute', 'moderateChat']) {
+      assert.equal(room.can('mod', permission), true);
+    }
+    assert.equal(room.can('mod', 'manageSettings'), false);
+    assert.equal(room.can('mod', 'manageSession'), false);
+  });
+
+  test('treats the creator as creator even when their participant row says otherwise', () => {
+    const room = buildRoom();
+    room.participants.find(p => p.auth0Id === 'owner').role = 'participant';
+
+    assert.equal(room.getRole('owner'), 'creator');
+    assert.equal(room.can('owner', 'deleteRoom'), true);
+  });
+
+  test('denies everything to non-members and inactive members', () => {
+    const room = buildRoom();
+
+    assert.equal(room.getRole('stranger'), null);
+    assert.equal(room.can('stranger', 'kick'), false);
+    assert.equal(room.getRole('gone'), null);
+    assert.equal(room.can('gone', 'kick'), false);
+    assert.equal(room.can(undefined, 'kick'), false);
+  });
+});
+
+describe('room.outranks', () => {
+  test('follows the role order', () => {
+    const room = buildRoom();
+
+    assert.equal(room.outranks('owner', 'cohost'), true);
+    assert.equal(room.outranks('cohost', 'mod'), true);
+    assert.equal(room.outranks('mod', 'alice'), true);
+    assert.equal(room.outranks('cohost', 'owner'), false);
+    assert.equal(room.outranks('mod', 'cohost'), false);
+    assert.equal(room.outranks('alice', 'mod'), false);
+  });
+
+  test('does not let equal roles act on each other', () => {
+    const room = buildRoom();
+
+    assert.equal(room.outranks('alice', 'bob'), false);
+    assert.equal(room.outranks('owner', 'owner'), false);
+  });
+
+  test('treats non-members as participants when they are the target', () => {
+    const room = buildRoom();
+
+    assert.equal(room.outranks('mod', 'stranger'), true);
+    assert.equal(room.outranks('mod', 'gone'), true);
+    assert.equal(room.outranks('alice', 'stranger'), false);
+  });
+
+  test('never lets a non-member outrank anyone', () => {
+    const room = buildRoom();
+
+    assert.equal(room.outranks('stranger', 'alice'), false);
+    assert.equal(room.outranks('gone', 'alice'), false);
+  });
+});
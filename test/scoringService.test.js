@@ -0,0 +1,152 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveScoringConfig, scoreStats, parseLeaderboardSettings } from '../services/scoringService.js';
+
+const stats = {
+  leetcode: { total: 17, easy: 10, medium: 5, hard: 2 },
+  github: { totalCommits: 100, weeklyCommits: 10, monthlyCommits: 40 }
+};
+
+describe('resolveScoringConfig', () => {
+  test('falls back to the classic strategy and default weights', () => {
+    const config = resolveScoringConfig({ strategy: 'no-such-strategy' });
+
+    assert.equal(config.strategy, 'classic');
+    assert.equal(config.usesBaseline, false);
+    assert.deepEqual(config.providerWeights, { leetcode: 0.6, github: 0.4 });
+    assert.deepEqual(config.difficultyWeights, { easy: 1, medium: 2, hard: 3 });
+  });
+
+  test('lets room overrides replace individual strategy weights', () => {
+    const config = resolveScoringConfig({
+      strategy: 'hard-heavy',
+      difficultyWeights: { hard: 10, medium: undefined },
+      providerWeights: new Map([['codeforces', 0.5]])
+    });
+
+    assert.deepEqual(config.difficultyWeights, { easy: 1, medium: 3, hard: 10 });
+    assert.equal(config.providerWeights.codeforces, 0.5);
+  });
+});
+
+describe('scoreStats', () => {
+  test('classic scores lifetime solves and commits', () => {
+    const result = scoreStats(stats, resolveScoringConfig({}));
+
+    // LeetCode 10*1 + 5*2 + 2*3 = 26, GitHub 100 + 10*2 + 40*0.5 = 140
+    assert.deepEqual(result.providerScores, { leetcode: 26, github: 140 });
+    assert.equal(result.leetcodeScore, 26);
+    assert.equal(result.githubScore, 140);
+    assert.equal(result.totalScore, Math.round(26 * 0.6 + 140 * 0.4));
+  });
+
+  test('hard-heavy weights harder problems more steeply', () => {
+    const result = scoreStats(stats, resolveScoringConfig({ strategy: 'hard-heavy' }));
+
+    // 10*1 + 5*3 + 2*5
+    assert.equal(result.leetcodeScore, 35);
+    assert.equal(result.totalScore, Math.round(35 * 0.6 + 140 * 0.4));
+  });
+
+  test('activity-only only counts recent commits', () => {
+    const result = scoreStats(stats, resolveScoringConfig({ strategy: 'activity-only' }));
+
+    assert.equal(result.leetcodeScore, 0);
+    assert.equal(result.githubScore, 40);
+    assert.equal(result.totalScore, 16);
+  });
+
+  test('session-delta scores progress since the baseline', () => {
+    const baseline = new Map([['alice', {
+      leetcode: { total: 14, easy: 8, medium: 5, hard: 1 },
+      github: { totalCommits: 90, weeklyCommits: 3, monthlyCommits: 30 }
+    }]]);
+    const result = scoreStats(stats, resolveScoringConfig({ strategy: 'session-delta' }), { auth0Id: 'alice', baseline });
+
+    // LeetCode 2 easy + 1 hard = 5, GitHub 10 new commits; rolling windows are ignored
+    assert.equal(result.leetcodeScore, 5);
+    assert.equal(result.githubScore, 10);
+    assert.equal(result.totalScore, 7);
+  });
+
+  test('session-delta scores zero without a baseline entry', () => {
+    const config = resolveScoringConfig({ strategy: 'session-delta' });
+
+    assert.equal(scoreStats(stats, config, { auth0Id: 'alice', baseline: new Map() }).totalScore, 0);
+    assert.equal(scoreStats(stats, config, { auth0Id: 'alice' }).totalScore, 0);
+  });
+
+  test('session-delta never counts drops or providers linked after the start', () => {
+    const baseline = new Map([['alice', { codeforces: { rating: 1600, maxRating: 1600, solved: 190 } }]]);
+    const config = resolveScoringConfig({ strategy: 'session-delta', providerWeights: { codeforces: 1 } });
+    const current = { ...stats, codeforces: { rating: 1500, maxRating: 1600, solved: 200 } };
+    const result = scoreStats(current, config, { auth0Id: 'alice', baseline });
+
+    assert.equal(result.leetcodeScore, 0);
+    assert.equal(result.githubScore, 0);
+    assert.equal(result.providerScores.codeforces, 10);
+    assert.equal(result.totalScore, 10);
+  });
+
+  test('rating providers only count when the room weights them', () => {
+    const current = { ...stats, codeforces: { rating: 1500, maxRating: 1700, solved: 200 } };
+
+    const unweighted = scoreStats(current, resolveScoringConfig({}));
+    assert.equal(unweighted.providerScores.codeforces, undefined);
+
+    // 200 solved + 1500 * 0.1 rating = 350, at weight 0.5
+    const weighted = scoreStats(current, resolveScoringConfig({ providerWeights: { codeforces: 0.5 } }));
+    assert.equal(weighted.providerScores.codeforces, 350);
+    assert.equal(weighted.totalScore, Math.round(26 * 0.6 + 140 * 0.4 + 350 * 0.5));
+  });
+
+  test('skips providers weighted zero', () => {
+    const result = scoreStats(stats, resolveScoringConfig({ weightGitHub: 0 }));
+
+    assert.deepEqual(result.providerScores, { leetcode: 26 });
+    assert.equal(result.totalScore, Math.round(26 * 0.6));
+  });
+
+  test('scores missing stats as zero', () => {
+    assert.deepEqual(scoreStats(null, resolveScoringConfig({})), {
+      leetcodeScore: 0, githubScore: 0, providerScores: {}, totalScore: 0
+    });
+  });
+});
+
+describe('parseLeaderboardSettings', () => {
+  test('maps settings to dotted update paths', () => {
+    const { updates, error } = parseLeaderboardSettings({
+      strategy: 'hard-heavy',
+      enabled: 0,
+      weightLeetCode: '0.7',
+      providerWeights: { github: 0.2, atcoder: 0.3, codeforces: null },
+      difficultyWeights: { hard: 8 },
+      commitWeights: null
+    });
+
+    assert.equal(error, undefined);
+    assert.deepEqual(updates, {
+      'settings.leaderboard.strategy': 'hard-heavy',
+      'settings.leaderboard.enabled': false,
+      'settings.leaderboard.weightLeetCode': 0.7,
+      'settings.leaderboard.weightGitHub': 0.2,
+      'settings.leaderboard.providerWeights.atcoder': 0.3,
+      'settings.leaderboard.providerWeights.codeforces': undefined,
+      'settings.leaderboard.difficultyWeights.hard': 8,
+      'settings.leaderboard.commitWeights.total': undefined,
+      'settings.leaderboard.commitWeights.weekly': undefined,
+      'settings.leaderboard.commitWeights.monthly': undefined
+    });
+  });
+
+  test('rejects invalid input', () => {
+    assert.ok(parseLeaderboardSettings(null).error);
+    assert.ok(parseLeaderboardSettings({ strategy: 'made-up' }).error);
+    assert.ok(parseLeaderboardSettings({ weightGitHub: 1.5 }).error);
+    assert.ok(parseLeaderboardSettings({ providerWeights: { myspace: 0.5 } }).error);
+    assert.ok(parseLeaderboardSettings({ providerWeights: { codeforces: -1 } }).error);
+    assert.ok(parseLeaderboardSettings({ difficultyWeights: { easy: 101 } }).error);
+    assert.ok(parseLeaderboardSettings({ ratingWeights: { rating: 'lots' } }).error);
+  });
+});